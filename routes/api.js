@@ -1,14 +1,31 @@
 const express = require('express');
-const { spawn } = require('child_process');
 const router = express.Router();
 const { 
   validateSearchInput, 
   validateUrlInputGET, 
-  validateUrlInputPOST 
+  validateUrlInputPOST,
+  validateUrl,
+  parsePriority,
+  validateCallbackUrl
 } = require('../utils/validation');
+const { BATCH_MAX_ITEMS } = require('../utils/config');
+const { parseAudioOptions } = require('../utils/audio');
+const { parseSubtitleOptions } = require('../utils/subtitles');
+const { parseClipOptions } = require('../utils/clips');
+const { parseFilenameTemplate } = require('../utils/filenames');
+const { parseSearchOptions } = require('../utils/search');
+const { listPlatforms } = require('../utils/platforms');
+const { sendError } = require('../utils/errors');
+const { renderMetrics } = require('../utils/metrics');
 const youtubeService = require('../services/youtubeService');
+const { getKeyPoolStatus } = require('../services/youtubeKeyPool');
 const downloadService = require('../services/downloadService');
-const path = require('path');
+const batchService = require('../services/batchService');
+const subtitleService = require('../services/subtitleService');
+const thumbnailService = require('../services/thumbnailService');
+const cookieService = require('../services/cookieService');
+const libraryService = require('../services/libraryService');
+const { consumeQuota, limitConcurrentDownloads, reserveBatchItems, trackStreamedBytes, requireAdmin, requireMetricsAccess, describeUsage } = require('../utils/auth');
 
 // Error handling middleware
 const asyncHandler = (fn) => (req, res, next) => {
@@ -16,192 +33,464 @@ const asyncHandler = (fn) => (req, res, next) => {
     .catch(next);
 };
 
+// Jobs, batches and cookie profiles of other API keys answer 404 (see canAccess in utils/auth.js)
+const ownDownload = (req, res, next) => {
+  try {
+    downloadService.assertJobAccess(req.params.id, req.apiKey);
+    next();
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+const ownBatch = (req, res, next) => {
+  try {
+    batchService.assertBatchAccess(req.params.id, req.apiKey);
+    next();
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// A cookieProfile named in the query or body must belong to the caller; checked before any quota is spent
+const ownCookieProfile = async (req, res, next) => {
+  const id = (req.body && req.body.cookieProfile) || req.query.cookieProfile;
+  if (!id) return next();
+  try {
+    await cookieService.getProfile(id, req.apiKey);
+    next();
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
 // Root endpoint
 router.get('/', (req, res) => {
   res.send('Video Downloader API is running');
 });
 
-router.post('/auth/instagram', async (req, res) => {
-  const { url, cookies } = req.body;
-  if (!url || !cookies) {
+// Prometheus scrape endpoint; needs METRICS_TOKEN as a bearer token or an admin key
+router.get('/metrics', requireMetricsAccess, asyncHandler(async (req, res) => {
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(await renderMetrics());
+}));
+
+// Check Instagram cookies against a URL; the cookies are only used for this request
+router.post('/auth/instagram', validateUrlInputPOST, consumeQuota('extractions'), async (req, res) => {
+  const { cookies } = req.body;
+  if (!cookies) {
     return res.status(400).json({ success: false, error: 'URL and cookies are required' });
   }
 
   try {
-    // Save cookies to a temporary file
-    const fs = require('fs').promises;
-    const cookieFilePath = `/tmp/instagram_cookies_${Date.now()}.txt`;
-    await fs.writeFile(cookieFilePath, cookies);
-
-    // Fetch preview with cookies
-    const previewData = await getVideoPreview(url, cookieFilePath);
-    // Clean up cookie file
-    await fs.unlink(cookieFilePath);
+    const previewData = await downloadService.getVideoPreview({
+      url: req.validatedUrl,
+      platform: 'instagram',
+      config: { cookies },
+    });
     res.json({ success: true, data: previewData });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message, code: error.code });
+  }
+});
+
+// Register a cookie jar (cookie header or Netscape cookies.txt) and get back an opaque profile id
+router.post('/cookie-profiles', async (req, res) => {
+  try {
+    const { platform, cookies, label, expiresInHours } = req.body;
+    const profile = await cookieService.createProfile({ platform, cookies, label, expiresInHours, apiKeyId: req.apiKey.id });
+    res.status(201).json(profile);
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
+router.get('/cookie-profiles/:id', async (req, res) => {
+  try {
+    res.json(await cookieService.getProfile(req.params.id, req.apiKey));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.delete('/cookie-profiles/:id', async (req, res) => {
+  try {
+    await cookieService.deleteProfile(req.params.id, req.apiKey);
+    res.json({ id: req.params.id, deleted: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Quotas and today's usage for the calling API key
+router.get('/me/usage', asyncHandler(async (req, res) => {
+  res.json(await describeUsage(req.apiKey, downloadService.countActiveDownloads(req.apiKey.id)));
+}));
+
+// Saved files of the calling key, with metadata, filterable by platform and media type
+router.get('/library', asyncHandler(async (req, res) => {
+  const { platform, type, limit, offset } = req.query;
+  res.json(libraryService.listLibrary(req.apiKey, { platform, type, limit, offset }));
+}));
+
+router.delete('/library/:id', asyncHandler(async (req, res) => {
+  res.json(libraryService.deleteLibraryItem(req.apiKey, req.params.id));
+}));
+
+// Health and estimated quota use of the YouTube Data API keys, identified by hash only
+router.get('/admin/youtube-keys', requireAdmin, (req, res) => {
+  res.json(getKeyPoolStatus());
+});
+
+// Supported platforms, detected automatically from submitted URLs
+router.get('/platforms', (req, res) => {
+  res.json({ platforms: listPlatforms() });
+});
+
 // Search endpoint
-router.post('/search', validateSearchInput, async (req, res) => {
+router.post('/search', validateSearchInput, consumeQuota('searches'), async (req, res) => {
+  try {
+    const options = parseSearchOptions(req.body);
+    const page = await youtubeService.search(req.validatedQuery, options);
+    res.json(page);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Thumbnail proxy: fetches with platform headers, caches on disk, resizes with ?w=
+router.get('/thumbnail', async (req, res) => {
+  const { url, w, platform } = req.query;
+  if (!url) {
+    return res.status(400).json({ error: 'URL is required' });
+  }
+
   try {
-    const results = await youtubeService.search(req.validatedQuery);
-    res.json({ results });
+    const thumbnail = await thumbnailService.getThumbnail({ url, width: w, platform });
+    res.setHeader('Content-Type', thumbnail.contentType);
+    res.setHeader('Cache-Control', 'public, max-age=86400');
+    res.sendFile(thumbnail.path);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 // GET Preview (for non-Instagram platforms)
-router.get('/preview', validateUrlInputGET, async (req, res) => {
+router.get('/preview', validateUrlInputGET, ownCookieProfile, consumeQuota('extractions'), async (req, res) => {
   try {
-    const { cookies, platform } = req.query;
-    const previewInfo = await downloadService.getVideoPreview({
-      url: req.validatedUrl,
-      platform: platform || 'default',
-      config: { cookies }
-    });
+    const { cookies, platform, cookieProfile } = req.query;
+    const previewInfo = await downloadService.getVideoPreview(
+      {
+        url: req.validatedUrl,
+        platform: platform || 'default',
+        config: { cookies },
+        cookieProfile
+      },
+      { clip: parseClipOptions(req.query) }
+    );
     res.json(previewInfo);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 // POST Preview (specifically for Instagram)
-router.post('/preview', validateUrlInputPOST, async (req, res) => {
+router.post('/preview', validateUrlInputPOST, ownCookieProfile, consumeQuota('extractions'), async (req, res) => {
   try {
-    const { cookies, platform } = req.body;
-    const previewInfo = await downloadService.getVideoPreview({
-      url: req.validatedUrl,
-      platform: platform || 'default',
-      config: { cookies }
-    });
+    const { cookies, platform, cookieProfile } = req.body;
+    const previewInfo = await downloadService.getVideoPreview(
+      {
+        url: req.validatedUrl,
+        platform: platform || 'default',
+        config: { cookies },
+        cookieProfile
+      },
+      { clip: parseClipOptions(req.body) }
+    );
     res.json(previewInfo);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 // GET Formats (for non-Instagram platforms)
-router.get('/formats', validateUrlInputGET, async (req, res) => {
+router.get('/formats', validateUrlInputGET, ownCookieProfile, consumeQuota('extractions'), async (req, res) => {
   try {
-    const { cookies, platform } = req.query;
+    const { cookies, platform, cookieProfile } = req.query;
     const formats = await downloadService.getFormats({
       url: req.validatedUrl,
       platform: platform || 'default',
-      config: { cookies }
+      config: { cookies },
+      cookieProfile
     });
     res.json({ formats });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 // POST Formats (specifically for Instagram)
-router.post('/formats', validateUrlInputPOST, async (req, res) => {
+router.post('/formats', validateUrlInputPOST, ownCookieProfile, consumeQuota('extractions'), async (req, res) => {
   try {
-    const { cookies, platform } = req.body;
+    const { cookies, platform, cookieProfile } = req.body;
     const formats = await downloadService.getFormats({
       url: req.validatedUrl,
       platform: platform || 'default',
-      config: { cookies }
+      config: { cookies },
+      cookieProfile
     });
     res.json({ formats });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 
+// List manual and auto-generated subtitle tracks per language
+router.get('/subtitles', validateUrlInputGET, ownCookieProfile, consumeQuota('extractions'), async (req, res) => {
+  try {
+    const { cookies, platform, cookieProfile } = req.query;
+    const result = await subtitleService.listSubtitles({
+      url: req.validatedUrl,
+      platform: platform || 'default',
+      config: { cookies },
+      cookieProfile
+    });
+    res.json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Download one subtitle track as srt, vtt or a plain-text transcript (txt)
+router.get('/subtitles/download', validateUrlInputGET, ownCookieProfile, consumeQuota('extractions'), async (req, res) => {
+  try {
+    const { cookies, platform, cookieProfile, lang, format, auto } = req.query;
+    const subtitle = await subtitleService.downloadSubtitle(
+      { url: req.validatedUrl, platform: platform || 'default', config: { cookies }, cookieProfile },
+      { language: lang, format: format || 'srt', automatic: auto === 'true' }
+    );
+    res.setHeader('Content-Type', subtitle.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="subtitles.${lang}.${subtitle.extension}"`);
+    res.send(subtitle.content);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Counts an extraction, holds a concurrent download slot and meters streamed bytes
+const streamQuotas = [
+  consumeQuota('extractions'),
+  limitConcurrentDownloads(downloadService.countActiveDownloads),
+  trackStreamedBytes,
+];
+
 // Stream-download endpoint
-router.get('/stream-download', validateUrlInputGET, async (req, res) => {
-  const { format, cookies, platform } = req.query;
+router.get('/stream-download', validateUrlInputGET, ownCookieProfile, ...streamQuotas, async (req, res) => {
+  const { format, cookies, platform, cookieProfile } = req.query;
+  let audio;
+  let clip;
+  let filenameTemplate;
+  try {
+    audio = parseAudioOptions(req.query);
+    clip = parseClipOptions(req.query);
+    filenameTemplate = parseFilenameTemplate(req.query.filenameTemplate);
+  } catch (error) {
+    return sendError(res, error, 400);
+  }
   await downloadService.streamDownload(
-    { url: req.validatedUrl, platform, config: { cookies } },
+    { url: req.validatedUrl, platform, config: { cookies }, cookieProfile },
     format,
-    res
+    res,
+    { audio, clip, filenameTemplate, apiKeyId: req.apiKey.id, range: req.headers.range }
   );
 });
 
-router.post('/stream-download', (req, res) => {
-  const { url, format, cookies } = req.body;
+// POST variant for cookie files too large for a query string
+router.post('/stream-download', validateUrlInputPOST, ownCookieProfile, ...streamQuotas, async (req, res) => {
+  const { format, cookies, platform, cookieProfile } = req.body;
+  let audio;
+  let clip;
+  let filenameTemplate;
+  try {
+    audio = parseAudioOptions(req.body);
+    clip = parseClipOptions(req.body);
+    filenameTemplate = parseFilenameTemplate(req.body.filenameTemplate);
+  } catch (error) {
+    return sendError(res, error, 400);
+  }
 
-  if (!url || !format) {
+  if (!format && !audio) {
     return res.status(400).json({ error: 'Missing url or format' });
   }
 
-  // Write cookies to a temporary file if provided
-  const fs = require('fs');
-  const path = require('path');
-  const cookiePath = path.join(__dirname, '../temp_cookies.txt');
-
-  if (cookies) {
-    fs.writeFileSync(cookiePath, cookies);
+  await downloadService.streamDownload(
+    { url: req.validatedUrl, platform, config: { cookies }, cookieProfile },
+    format,
+    res,
+    { audio, clip, filenameTemplate, apiKeyId: req.apiKey.id, range: req.headers.range }
+  );
+});
+// Download endpoint - Updated to use POST validator
+router.post(
+  '/download',
+  validateUrlInputPOST,
+  ownCookieProfile,
+  consumeQuota('extractions'),
+  limitConcurrentDownloads(downloadService.countActiveDownloads),
+  asyncHandler(async (req, res) => {
+  const { url, format } = req.body;
+  const priority = parsePriority(req.body.priority);
+  if (priority === null) {
+    return res.status(400).json({ error: 'Priority must be low, normal, high or an integer from -10 to 10' });
+  }
+  let audio;
+  let subtitles;
+  let clip;
+  let filenameTemplate;
+  let callback = null;
+  try {
+    audio = parseAudioOptions(req.body);
+    subtitles = parseSubtitleOptions(req.body.subtitles);
+    clip = parseClipOptions(req.body);
+    filenameTemplate = parseFilenameTemplate(req.body.filenameTemplate);
+    if (audio && subtitles && subtitles.mode === 'embed') {
+      return res.status(400).json({ error: 'Subtitles cannot be embedded into audio-only downloads' });
+    }
+    if (req.body.callbackUrl) {
+      callback = { url: await validateCallbackUrl(req.body.callbackUrl), secret: req.body.callbackSecret };
+    }
+  } catch (error) {
+    return sendError(res, error, 400);
+  }
+  if (callback && callback.secret !== undefined && typeof callback.secret !== 'string') {
+    return res.status(400).json({ error: 'callbackSecret must be a string' });
   }
+  // Unknown, expired or foreign profiles were already refused by ownCookieProfile
+  const cookieProfile = req.body.cookieProfile || null;
+
+  const downloadId = await downloadService.startDownload(req.validatedUrl, format, {
+    priority,
+    audio,
+    subtitles,
+    clip,
+    filenameTemplate,
+    callback,
+    cookieProfile,
+    apiKeyId: req.apiKey.id,
+  });
+  res.json({ id: downloadId });
+}));
 
-  // Prepare yt-dlp args
-  const args = [
-    url,
-    '-f', format,
-    '-o', '-', // stream to stdout
-    '--no-playlist'
-  ];
+// Batch download: a list of URLs or one playlist / channel / profile URL
+// Each URL of a batch counts as one extraction and one download slot. A playlist counts
+// once up front for its listing; its entries are counted once it has been expanded, and
+// those past the key's remaining quota are dropped (the batch reports truncatedBy: 'quota')
+const batchSize = (req) => (Array.isArray(req.body.urls) ? Math.min(req.body.urls.length, BATCH_MAX_ITEMS) : 1);
 
-  if (cookies) {
-    args.push('--cookies', cookiePath);
+router.post(
+  '/download/batch',
+  ownCookieProfile,
+  consumeQuota('extractions', batchSize),
+  limitConcurrentDownloads(downloadService.countActiveDownloads, batchSize),
+  asyncHandler(async (req, res) => {
+  const { urls, url, format } = req.body;
+  const priority = parsePriority(req.body.priority);
+  if (priority === null) {
+    return res.status(400).json({ error: 'Priority must be low, normal, high or an integer from -10 to 10' });
   }
 
-  const ytdlp = spawn('yt-dlp', args);
-
-  // Set headers
-  res.setHeader('Content-Disposition', 'attachment; filename="video.mp4"');
-  res.setHeader('Content-Type', 'video/mp4');
+  let source;
+  if (urls !== undefined) {
+    if (!Array.isArray(urls) || urls.length === 0) {
+      return res.status(400).json({ error: 'urls must be a non-empty array' });
+    }
+    if (urls.length > BATCH_MAX_ITEMS) {
+      return res.status(400).json({ error: `A batch can contain at most ${BATCH_MAX_ITEMS} URLs` });
+    }
+    const invalid = urls.filter((item) => typeof item !== 'string');
+    if (invalid.length) {
+      return res.status(400).json({ error: 'urls must only contain strings' });
+    }
+    source = { urls };
+  } else {
+    if (!url) {
+      return res.status(400).json({ error: 'Either urls or url is required' });
+    }
+    try {
+      source = { url: validateUrl(url) };
+    } catch (error) {
+      return sendError(res, error, 400);
+    }
+  }
 
-  ytdlp.stdout.pipe(res);
+  const cookieProfile = req.body.cookieProfile || null;
 
-  ytdlp.stderr.on('data', (data) => {
-    console.error('yt-dlp error:', data.toString());
+  const batchId = await batchService.startBatch(source, format, {
+    priority,
+    cookieProfile,
+    apiKeyId: req.apiKey.id,
+    reserveItems: (count) => reserveBatchItems(req.apiKey, downloadService.countActiveDownloads, count),
   });
+  res.json({ id: batchId, status: batchService.getBatchStatus(batchId).status });
+}));
 
-  ytdlp.on('close', (code) => {
-    if (cookies && fs.existsSync(cookiePath)) {
-      fs.unlinkSync(cookiePath); // delete temp cookie file
-    }
+router.get('/download/batch/:id', ownBatch, (req, res) => {
+  try {
+    res.json(batchService.getBatchStatus(req.params.id));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-    if (code !== 0) {
-      res.status(500).end('Download failed');
-    }
-  });
+// SSE aggregate progress for a batch
+router.get('/download/batch/:id/progress', ownBatch, (req, res) => {
+  batchService.setupBatchProgressStream(req.params.id, res);
+});
+
+// Cancel a download: kills yt-dlp and removes partial files
+router.delete('/download/:id', ownDownload, async (req, res) => {
+  try {
+    const job = await downloadService.cancelDownload(req.params.id);
+    res.json({ id: job.id, status: 'cancelled' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Pause a download, keeping its .part files so resume continues where it stopped
+router.post('/download/:id/pause', ownDownload, async (req, res) => {
+  try {
+    const job = await downloadService.pauseDownload(req.params.id);
+    res.json({ id: job.id, status: 'paused', progress: job.progress });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/download/:id/resume', ownDownload, async (req, res) => {
+  try {
+    const job = await downloadService.resumeDownload(req.params.id);
+    res.json({ id: job.id, status: 'queued', queuePosition: job.queuePosition });
+  } catch (error) {
+    sendError(res, error);
+  }
 });
-// Download endpoint - Updated to use POST validator
-router.post('/download', validateUrlInputPOST, asyncHandler(async (req, res) => {
-  const { url, format } = req.body;
-  const downloadId = await downloadService.startDownload(req.validatedUrl, format);
-  res.json({ id: downloadId });
-}));
 
 // SSE progress stream
-router.get('/download/:id/progress', (req, res) => {
+router.get('/download/:id/progress', ownDownload, (req, res) => {
   const { id } = req.params;
   downloadService.setupProgressStream(id, res);
 });
 
 // Get download status
-router.get('/download/:id', asyncHandler(async (req, res) => {
+router.get('/download/:id', ownDownload, asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const status = downloadService.getDownloadStatus(id);
-  
-  if (status.filePath) {
-    const filename = path.basename(status.filePath);
-    status.downloadUrl = `/downloads/${filename}`;
-  }
-  
-  res.json(status);
+  res.json(downloadService.getDownloadStatus(id));
 }));
 
 // Stream endpoint - Updated to use GET validator
-router.get('/stream', validateUrlInputGET, asyncHandler(async (req, res) => {
+router.get('/stream', validateUrlInputGET, consumeQuota('extractions'), asyncHandler(async (req, res) => {
   const { url, format } = req.query;
   const streamInfo = await downloadService.getStreamUrl(req.validatedUrl, format);
   res.json(streamInfo);
@@ -5,8 +5,16 @@ require('dotenv').config();
 const express = require('express');
 const morgan = require('morgan');
 const cors = require('cors');
-const rateLimit = require('express-rate-limit');
 const apiRouter = require('./routes/api');
+const { initializeCache } = require('./utils/cache');
+const { initializeJobStore, loadJobs, flushJobs } = require('./utils/jobStore');
+const downloadService = require('./services/downloadService');
+const batchService = require('./services/batchService');
+const { sendError } = require('./utils/errors');
+const { authenticate, trackStreamedBytes } = require('./utils/auth');
+const { contentDisposition } = require('./utils/filenames');
+const { trackRequests } = require('./utils/metrics');
+const { removeStaleBuffers } = require('./services/streamSessions');
 
 const app = express();
 app.set('trust proxy', 'loopback');
@@ -26,27 +34,67 @@ const compression = require('compression');
 app.use(compression());
 
 // Middleware
+// Keep API keys passed as ?api_key= out of the request log
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&]api_key=)[^&]*/i, '$1[redacted]'));
 app.use(morgan('dev'));
+app.use(trackRequests);
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Rate limiting
-const apiLimiter = rateLimit({
-  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
-  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
-  message: 'Too many requests, please try again later.'
-});
-app.use('/', apiLimiter);
+// API keys and per-key quotas
+app.use(authenticate);
 
-// Serve downloaded files
-app.use('/downloads', express.static(DOWNLOAD_DIR));
+// Serve downloaded files under the name rendered from the job's filename template
+app.use(
+  '/downloads',
+  trackStreamedBytes,
+  express.static(DOWNLOAD_DIR, {
+    setHeaders: (res, filePath) => {
+      const filename = downloadService.getServedFilename(path.basename(filePath));
+      if (filename) res.setHeader('Content-Disposition', contentDisposition(filename));
+    },
+  })
+);
 
 // API routes
 app.use('/', apiRouter);
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Downloads stored at: ${DOWNLOAD_DIR}`);
+// Errors passed on by asyncHandler get the same { error, code, retryable } shape
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  if (!err.status) console.error('Unhandled error:', err);
+  sendError(res, err);
 });
+
+// Start server once persisted jobs are back in memory
+const start = async () => {
+  removeStaleBuffers();
+  await initializeCache();
+  await initializeJobStore();
+  try {
+    const records = await loadJobs();
+    await downloadService.restoreJobs(records);
+    batchService.restoreBatches(records);
+  } catch (error) {
+    console.error('Failed to restore download jobs:', error.message);
+  }
+  downloadService.startRetentionSweeper();
+  downloadService.startHistoryPruning();
+  batchService.startHistoryPruning();
+
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    console.log(`Downloads stored at: ${DOWNLOAD_DIR}`);
+  });
+};
+
+// Job store writes are coalesced; write the last of them before exiting
+['SIGINT', 'SIGTERM'].forEach((signal) =>
+  process.once(signal, async () => {
+    await flushJobs();
+    process.exit(0);
+  })
+);
+
+start();
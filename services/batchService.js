@@ -0,0 +1,299 @@
+// services/batchService.js - Playlist, profile and multi-URL batch downloads
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const downloadService = require('./downloadService');
+const jobStore = require('../utils/jobStore');
+const { validateUrl } = require('../utils/validation');
+const { canonicalizeUrl } = require('../utils/canonicalUrl');
+const { BATCH_MAX_ITEMS, JOB_HISTORY_HOURS } = require('../utils/config');
+const { canAccess } = require('../utils/auth');
+
+const batches = new Map();
+const batchEmitters = new Map();
+
+const TERMINAL_STATUSES = ['completed', 'error', 'cancelled', 'interrupted', 'expired', 'deleted'];
+const HISTORY_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Finished batches are kept for JOB_HISTORY_HOURS, like the jobs they started
+const isExpiredHistory = (batch) =>
+  Boolean(batch.completedAt) && batch.completedAt < Date.now() - JOB_HISTORY_HOURS * 60 * 60 * 1000;
+
+const persistBatch = (batch) => {
+  batch.updatedAt = Date.now();
+  jobStore.saveJob({ ...batch });
+};
+
+const getChildren = (batch) =>
+  batch.items
+    .filter((item) => item.jobId)
+    .map((item) => {
+      try {
+        return downloadService.getDownloadStatus(item.jobId);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+const summarize = (batch) => {
+  const children = getChildren(batch);
+  const count = (statuses) => children.filter((job) => statuses.includes(job.status)).length;
+  const progressTotal = children.reduce(
+    (sum, job) => sum + (job.status === 'completed' ? 100 : job.progress || 0),
+    0
+  );
+
+  return {
+    total: batch.items.length,
+    completed: count(['completed']),
+    failed: count(['error', 'interrupted', 'expired']) + batch.items.filter((item) => item.error).length,
+    cancelled: count(['cancelled']),
+    active: count(['queued', 'downloading', 'paused']),
+    progress: batch.items.length ? Math.round((progressTotal / batch.items.length) * 10) / 10 : 0,
+  };
+};
+
+// Recompute the aggregate state of a batch after one of its items changed
+const refreshBatch = (batchId) => {
+  const batch = batches.get(batchId);
+  if (!batch || batch.status === 'expanding') return;
+
+  const summary = summarize(batch);
+  const emitter = batchEmitters.get(batchId);
+  const done = summary.active === 0 && getChildren(batch).every((job) => TERMINAL_STATUSES.includes(job.status));
+
+  if (!done) {
+    if (emitter) emitter.emit('progress', summary);
+    return;
+  }
+
+  if (batch.status !== 'running') return;
+
+  if (summary.completed === 0) batch.status = 'error';
+  else if (summary.completed < summary.total) batch.status = 'completed_with_errors';
+  else batch.status = 'completed';
+  batch.completedAt = Date.now();
+  persistBatch(batch);
+
+  if (emitter) emitter.emit('completed', getBatchStatus(batchId));
+};
+
+downloadService.jobEvents.on('update', (job) => {
+  if (job.batchId) refreshBatch(job.batchId);
+});
+
+// `limit` is the number of entries the API key may still start; any more are dropped
+const createChildJobs = async (batch, entries, format, { priority, cookieProfile, apiKeyId, limit = BATCH_MAX_ITEMS }) => {
+  for (const entry of entries.slice(0, Math.min(limit, BATCH_MAX_ITEMS))) {
+    const item = { url: entry.url, title: entry.title || null, jobId: null, error: null };
+    try {
+      item.url = (await canonicalizeUrl(validateUrl(entry.url))).url;
+      item.jobId = await downloadService.startDownload(item.url, format, {
+        priority,
+        batchId: batch.id,
+        cookieProfile,
+        apiKeyId,
+      });
+    } catch (error) {
+      item.error = error.message;
+    }
+    batch.items.push(item);
+  }
+
+  batch.truncated = entries.length > batch.items.length;
+  if (batch.truncated) batch.truncatedBy = limit < BATCH_MAX_ITEMS ? 'quota' : 'BATCH_MAX_ITEMS';
+  batch.status = 'running';
+  persistBatch(batch);
+  refreshBatch(batch.id);
+};
+
+/**
+ * Start a batch from either a list of URLs or a single playlist/channel/profile URL.
+ * Playlist expansion runs in the background; the batch id is returned immediately.
+ * Once a playlist is expanded, `reserveItems(count)` resolves to how many of its
+ * entries the caller's quotas still allow.
+ */
+const startBatch = async (
+  { urls, url },
+  format,
+  { priority = 0, cookieProfile = null, apiKeyId = null, reserveItems = async (count) => count } = {}
+) => {
+  const id = uuidv4();
+  const batch = {
+    id,
+    kind: 'batch',
+    source: url || null,
+    title: null,
+    format,
+    status: 'expanding',
+    items: [],
+    error: null,
+    apiKeyId,
+    createdAt: Date.now(),
+  };
+
+  batches.set(id, batch);
+  batchEmitters.set(id, new EventEmitter());
+  persistBatch(batch);
+
+  if (urls) {
+    await createChildJobs(batch, urls.map((itemUrl) => ({ url: itemUrl })), format, { priority, cookieProfile, apiKeyId });
+    return id;
+  }
+
+  (async () => {
+    try {
+      const playlist = await downloadService.expandPlaylist({ url, cookieProfile });
+      batch.title = playlist.title;
+      if (playlist.entries.length === 0) throw new Error('Playlist has no entries');
+      const limit = await reserveItems(Math.min(playlist.entries.length, BATCH_MAX_ITEMS));
+      if (limit === 0) throw new Error('no extractions or download slots are left for this API key');
+      await createChildJobs(batch, playlist.entries, format, { priority, cookieProfile, apiKeyId, limit });
+    } catch (error) {
+      batch.status = 'error';
+      batch.error = 'Failed to expand playlist: ' + error.message;
+      batch.completedAt = Date.now();
+      persistBatch(batch);
+      batchEmitters.get(id).emit('error', batch.error);
+    }
+  })();
+
+  return id;
+};
+
+// Batches of other API keys answer 404, the same as batches that do not exist
+const assertBatchAccess = (id, apiKey) => {
+  const batch = batches.get(id);
+  if (!batch || !canAccess(apiKey, batch.apiKeyId)) {
+    throw Object.assign(new Error('Batch not found'), { status: 404 });
+  }
+  return batch;
+};
+
+const getBatchStatus = (id) => {
+  const batch = batches.get(id);
+  if (!batch) throw Object.assign(new Error('Batch not found'), { status: 404 });
+
+  const items = batch.items.map((item) => {
+    if (!item.jobId) return { ...item, status: 'error', progress: 0 };
+
+    let job = null;
+    try {
+      job = downloadService.getDownloadStatus(item.jobId);
+    } catch (error) {
+      return { ...item, status: 'unknown', progress: 0 };
+    }
+
+    return {
+      ...item,
+      status: job.status,
+      progress: job.progress,
+      error: job.error,
+      errorCode: job.errorCode || null,
+      downloadUrl: job.downloadUrl,
+    };
+  });
+
+  return {
+    id: batch.id,
+    source: batch.source,
+    title: batch.title,
+    format: batch.format,
+    status: batch.status,
+    error: batch.error,
+    truncated: batch.truncated || false,
+    truncatedBy: batch.truncatedBy || null,
+    ...summarize(batch),
+    items,
+    createdAt: batch.createdAt,
+    completedAt: batch.completedAt || null,
+  };
+};
+
+const setupBatchProgressStream = (id, res) => {
+  const emitter = batchEmitters.get(id);
+  if (!emitter) return res.status(404).end();
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  if (typeof res.flush !== 'function') res.flush = () => {};
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    if (res.writableEnded || !res.writable) return;
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+    res.flush();
+  };
+
+  const status = getBatchStatus(id);
+  if (['completed', 'completed_with_errors'].includes(status.status)) {
+    sendEvent('completed', status);
+  } else if (status.status === 'error') {
+    sendEvent('error', { error: status.error || 'Batch failed' });
+  } else {
+    sendEvent('progress', summarize(batches.get(id)));
+  }
+
+  const onProgress = (summary) => sendEvent('progress', summary);
+  const onCompleted = (batchStatus) => sendEvent('completed', batchStatus);
+  const onError = (error) => sendEvent('error', { error });
+  emitter.on('progress', onProgress);
+  emitter.on('completed', onCompleted);
+  emitter.on('error', onError);
+
+  res.on('close', () => {
+    emitter.off('progress', onProgress);
+    emitter.off('completed', onCompleted);
+    emitter.off('error', onError);
+    res.end();
+  });
+};
+
+// Reload batches persisted by startBatch; must run after downloadService.restoreJobs
+const restoreBatches = (records) => {
+  records
+    .filter((record) => record.kind === 'batch')
+    .forEach((batch) => {
+      if (isExpiredHistory(batch)) {
+        jobStore.removeJob(batch.id);
+        return;
+      }
+
+      // Expansion never finished, so no child jobs exist for it
+      if (batch.status === 'expanding') {
+        batch.status = 'error';
+        batch.error = 'Server restarted before the playlist was expanded';
+        batch.completedAt = Date.now();
+        persistBatch(batch);
+      } else if (batch.status === 'error' && !batch.completedAt) {
+        // Failed expansions were once saved without a completion time
+        batch.completedAt = batch.updatedAt || Date.now();
+      }
+      batches.set(batch.id, batch);
+      batchEmitters.set(batch.id, new EventEmitter());
+      refreshBatch(batch.id);
+    });
+};
+
+const pruneBatchHistory = () => {
+  [...batches.values()].filter(isExpiredHistory).forEach((batch) => {
+    batches.delete(batch.id);
+    batchEmitters.get(batch.id).removeAllListeners();
+    batchEmitters.delete(batch.id);
+    jobStore.removeJob(batch.id);
+  });
+};
+
+const startHistoryPruning = () => setInterval(pruneBatchHistory, HISTORY_PRUNE_INTERVAL_MS).unref();
+
+module.exports = {
+  assertBatchAccess,
+  startBatch,
+  getBatchStatus,
+  setupBatchProgressStream,
+  restoreBatches,
+  pruneBatchHistory,
+  startHistoryPruning,
+};
@@ -0,0 +1,296 @@
+// services/cookieService.js - Encrypted cookie profiles and per-request cookie files
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { getRedisClient } = require('../utils/cache');
+const { DATA_DIR, JOB_STORE, COOKIE_PROFILE_TTL_HOURS } = require('../utils/config');
+const { getEncryptionKey, encrypt, decrypt } = require('../utils/encryption');
+const { PLATFORMS, getPlatform, resolvePlatform } = require('../utils/platforms');
+const { canAccess } = require('../utils/auth');
+
+const REDIS_PROFILES_KEY = 'viewgo:cookie-profiles';
+const MAX_COOKIE_BYTES = 100 * 1024;
+const NETSCAPE_HEADER = '# Netscape HTTP Cookie File';
+
+const createError = (message, status) => Object.assign(new Error(message), { status });
+
+// Cookie profiles share the job store backend: one JSON file or one Redis hash
+const createFileStore = (filePath) => {
+  let profiles = null;
+  let writeChain = Promise.resolve();
+
+  const load = async () => {
+    if (profiles) return profiles;
+    try {
+      profiles = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('Cookie profile store is unreadable, starting empty:', error.message);
+      profiles = {};
+    }
+    return profiles;
+  };
+
+  const flush = () => {
+    const snapshot = JSON.stringify(profiles);
+    writeChain = writeChain
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        await fs.promises.writeFile(tmpPath, snapshot, { mode: 0o600 });
+        await fs.promises.rename(tmpPath, filePath);
+      })
+      .catch((error) => console.error('Cookie profile store write error:', error.message));
+    return writeChain;
+  };
+
+  return {
+    get: async (id) => (await load())[id] || null,
+    list: async () => Object.values(await load()),
+    save: async (profile) => {
+      (await load())[profile.id] = profile;
+      return flush();
+    },
+    remove: async (id) => {
+      delete (await load())[id];
+      return flush();
+    },
+  };
+};
+
+const createRedisStore = (client) => ({
+  get: async (id) => {
+    const value = await client.hGet(REDIS_PROFILES_KEY, id);
+    return value ? JSON.parse(value) : null;
+  },
+  list: async () => Object.values(await client.hGetAll(REDIS_PROFILES_KEY)).map((value) => JSON.parse(value)),
+  save: (profile) => client.hSet(REDIS_PROFILES_KEY, profile.id, JSON.stringify(profile)),
+  remove: (id) => client.hDel(REDIS_PROFILES_KEY, id),
+});
+
+let store = null;
+
+const getStore = async () => {
+  if (store) return store;
+  if (JOB_STORE === 'redis') {
+    try {
+      const client = await getRedisClient();
+      if (client) store = createRedisStore(client);
+    } catch (error) {
+      console.error('Redis cookie profile store unavailable, falling back to file store:', error.message);
+    }
+  }
+  if (!store) store = createFileStore(path.join(DATA_DIR, 'cookie-profiles.json'));
+  return store;
+};
+
+const requireKey = () => {
+  const key = getEncryptionKey();
+  if (!key) throw createError('Cookie profiles are disabled: COOKIE_ENCRYPTION_KEY is not set', 503);
+  return key;
+};
+
+const isNetscapeFormat = (cookies) =>
+  cookies.startsWith('# Netscape') ||
+  cookies.startsWith('# HTTP Cookie File') ||
+  cookies.split(/\r?\n/).some((line) => !line.startsWith('#') && line.split('\t').length === 7);
+
+// Accepts a raw "name=value; name2=value2" header or a Netscape cookies.txt
+const parseCookies = (cookies) => {
+  if (typeof cookies !== 'string' || !cookies.trim()) throw createError('cookies must be a non-empty string', 400);
+  if (Buffer.byteLength(cookies) > MAX_COOKIE_BYTES) throw createError('cookies are too large', 400);
+
+  const text = cookies.trim().replace(/^cookie:\s*/i, '');
+  if (isNetscapeFormat(text)) return { format: 'netscape', cookies: text };
+
+  const pairs = text
+    .split(';')
+    .map((pair) => pair.trim())
+    .filter(Boolean);
+  if (!pairs.every((pair) => /^[^=\s]+=/.test(pair))) {
+    throw createError('cookies must be a cookie header (name=value; ...) or a Netscape cookies.txt', 400);
+  }
+  return { format: 'header', cookies: pairs.join('; ') };
+};
+
+const summarize = ({ id, platform, label, format, createdAt, expiresAt }) => ({
+  id,
+  platform,
+  label,
+  format,
+  createdAt,
+  expiresAt,
+});
+
+/**
+ * Register a cookie jar for one platform, owned by `apiKeyId`. Only the opaque id and
+ * metadata are returned; the cookies themselves are never handed back.
+ */
+const createProfile = async ({ platform, cookies, label, expiresInHours, apiKeyId = null }) => {
+  requireKey();
+  if (!PLATFORMS.some((entry) => entry.id === platform)) {
+    throw createError(`platform must be one of: ${PLATFORMS.map((entry) => entry.id).join(', ')}`, 400);
+  }
+
+  let ttlHours = COOKIE_PROFILE_TTL_HOURS;
+  if (expiresInHours !== undefined) {
+    ttlHours = Number(expiresInHours);
+    if (!(ttlHours > 0) || ttlHours > COOKIE_PROFILE_TTL_HOURS) {
+      throw createError(`expiresInHours must be between 0 and ${COOKIE_PROFILE_TTL_HOURS}`, 400);
+    }
+  }
+
+  const jar = parseCookies(cookies);
+  const id = uuidv4();
+  const now = Date.now();
+  const profile = {
+    id,
+    platform,
+    label: typeof label === 'string' ? label.slice(0, 100) : null,
+    format: jar.format,
+    createdAt: now,
+    expiresAt: now + ttlHours * 60 * 60 * 1000,
+    data: encrypt(jar.cookies, id, requireKey()),
+    apiKeyId,
+  };
+
+  await (await getStore()).save(profile);
+  return summarize(profile);
+};
+
+// Stored profile, or a 404 once it is unknown or expired
+const getStoredProfile = async (id) => {
+  const profiles = await getStore();
+  const profile = typeof id === 'string' ? await profiles.get(id) : null;
+  if (!profile) throw createError('Cookie profile not found', 404);
+  if (profile.expiresAt <= Date.now()) {
+    await profiles.remove(id);
+    throw createError('Cookie profile has expired', 404);
+  }
+  return profile;
+};
+
+// Profiles of other keys answer 404 as if they did not exist
+const getOwnedProfile = async (id, apiKey) => {
+  const profile = await getStoredProfile(id);
+  if (!canAccess(apiKey, profile.apiKeyId)) throw createError('Cookie profile not found', 404);
+  return profile;
+};
+
+const getProfile = async (id, apiKey) => summarize(await getOwnedProfile(id, apiKey));
+
+const deleteProfile = async (id, apiKey) => {
+  await getOwnedProfile(id, apiKey);
+  await (await getStore()).remove(id);
+};
+
+const hostDomains = (videoUrl) => {
+  try {
+    return [new URL(videoUrl).hostname.replace(/^www\./, '')];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Cookies that apply to a request, as { format, cookies, domains, expiresAt, identity },
+ * or null. A referenced profile wins over cookies sent inline, which win over
+ * server-wide cookies configured for the platform (e.g. INSTAGRAM_COOKIES).
+ */
+const resolveCookieJar = async (input) => {
+  if (typeof input !== 'object') input = { url: input };
+  const platform = resolvePlatform(input.url, input.platform);
+
+  if (input.cookieProfile) {
+    const profile = await getStoredProfile(input.cookieProfile);
+    if (platform.id !== 'default' && profile.platform !== platform.id) {
+      throw createError(`Cookie profile is for ${getPlatform(profile.platform).name}, not ${platform.name}`, 400);
+    }
+    return {
+      format: profile.format,
+      cookies: decrypt(profile.data, profile.id, requireKey()),
+      domains: getPlatform(profile.platform).hosts,
+      expiresAt: profile.expiresAt,
+      identity: `profile:${profile.id}`,
+    };
+  }
+
+  const inline = input.config && input.config.cookies;
+  const cookies = inline || (platform.cookiesEnv && process.env[platform.cookiesEnv]);
+  if (!cookies) return null;
+
+  const jar = parseCookies(cookies);
+  return {
+    ...jar,
+    domains: platform.hosts.length ? platform.hosts : hostDomains(input.url),
+    expiresAt: Date.now() + 24 * 60 * 60 * 1000,
+    identity: crypto.createHash('sha256').update(jar.cookies).digest('hex').slice(0, 16),
+  };
+};
+
+// Netscape cookies.txt for yt-dlp; header cookies are scoped to every platform domain
+const toNetscape = (jar) => {
+  if (jar.format === 'netscape') {
+    return jar.cookies.startsWith('# ') ? `${jar.cookies}\n` : `${NETSCAPE_HEADER}\n${jar.cookies}\n`;
+  }
+
+  const expires = Math.floor(jar.expiresAt / 1000);
+  const lines = [];
+  jar.domains.forEach((domain) => {
+    jar.cookies.split('; ').forEach((pair) => {
+      const separator = pair.indexOf('=');
+      lines.push([`.${domain}`, 'TRUE', '/', 'TRUE', expires, pair.slice(0, separator), pair.slice(separator + 1)].join('\t'));
+    });
+  });
+  return `${NETSCAPE_HEADER}\n${lines.join('\n')}\n`;
+};
+
+/**
+ * Write a jar to a private temp directory. Returns { path, cleanup }; every request
+ * gets its own file, so concurrent users never see each other's cookies.
+ */
+const createCookieFile = async (jar) => {
+  if (!jar) return { path: null, cleanup: async () => {} };
+
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'viewgo-cookies-'));
+  const filePath = path.join(dir, 'cookies.txt');
+  await fs.promises.writeFile(filePath, toNetscape(jar), { mode: 0o600 });
+
+  return {
+    path: filePath,
+    cleanup: () => fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {}),
+  };
+};
+
+// Run fn with the request's cookie file path (or null), removing the file afterwards
+const withCookieFile = async (jar, fn) => {
+  const cookieFile = await createCookieFile(jar);
+  try {
+    return await fn(cookieFile.path);
+  } finally {
+    await cookieFile.cleanup();
+  }
+};
+
+const pruneExpiredProfiles = async () => {
+  try {
+    const profiles = await getStore();
+    const expired = (await profiles.list()).filter((profile) => profile.expiresAt <= Date.now());
+    for (const profile of expired) await profiles.remove(profile.id);
+  } catch (error) {
+    console.error('Cookie profile cleanup error:', error.message);
+  }
+};
+
+setInterval(pruneExpiredProfiles, 60 * 60 * 1000).unref();
+
+module.exports = {
+  createProfile,
+  getProfile,
+  deleteProfile,
+  resolveCookieJar,
+  createCookieFile,
+  withCookieFile,
+  pruneExpiredProfiles,
+};
@@ -0,0 +1,109 @@
+// services/downloadQueue.js - Bounded, prioritized queue for background downloads
+const EventEmitter = require('events');
+const { MAX_CONCURRENT_DOWNLOADS, PLATFORM_CONCURRENCY } = require('../utils/config');
+const { PLATFORMS } = require('../utils/platforms');
+
+// "instagram:1,tiktok:1" -> { instagram: 1, tiktok: 1 }
+const parsePlatformLimits = (value) =>
+  value
+    .split(',')
+    .map((pair) => pair.split(':').map((part) => part.trim()))
+    .filter(([platform, limit]) => platform && !Number.isNaN(parseInt(limit, 10)))
+    .reduce((limits, [platform, limit]) => ({ ...limits, [platform]: parseInt(limit, 10) }), {});
+
+// Registry defaults, overridden per platform by PLATFORM_CONCURRENCY
+const platformLimits = {
+  ...PLATFORMS.filter((platform) => platform.maxConcurrent).reduce(
+    (limits, platform) => ({ ...limits, [platform.id]: platform.maxConcurrent }),
+    {}
+  ),
+  ...parsePlatformLimits(PLATFORM_CONCURRENCY),
+};
+
+const pending = [];
+const active = new Map(); // id -> running job
+const events = new EventEmitter();
+let sequence = 0;
+
+const countActive = (platform) => [...active.values()].filter((job) => job.platform === platform).length;
+
+const hasCapacity = (platform) => {
+  const limit = platformLimits[platform];
+  return limit === undefined || countActive(platform) < limit;
+};
+
+const notifyPositions = () => {
+  pending.forEach((job, index) => events.emit('position', job.id, index + 1));
+};
+
+const runNext = () => {
+  let changed = false;
+
+  for (let i = 0; i < pending.length && active.size < MAX_CONCURRENT_DOWNLOADS; ) {
+    const job = pending[i];
+    if (!hasCapacity(job.platform)) {
+      i++;
+      continue;
+    }
+
+    pending.splice(i, 1);
+    active.set(job.id, job);
+    changed = true;
+
+    Promise.resolve()
+      .then(job.run)
+      .catch((error) => console.error(`Queued job ${job.id} failed:`, error.message))
+      // A job stopped and queued again may already hold a new slot under the same id
+      .finally(() => active.get(job.id) === job && release(job.id));
+  }
+
+  if (changed) notifyPositions();
+};
+
+// Free the slot held by a job (no-op when it is not running)
+const release = (id) => {
+  if (active.delete(id)) runNext();
+};
+
+// Higher priority runs first; equal priorities keep arrival order
+const enqueue = (id, { platform = 'default', priority = 0, run }) => {
+  const job = { id, platform, priority, run, seq: sequence++ };
+  const index = pending.findIndex(
+    (other) => other.priority < priority || (other.priority === priority && other.seq > job.seq)
+  );
+  if (index === -1) pending.push(job);
+  else pending.splice(index, 0, job);
+
+  notifyPositions();
+  runNext();
+};
+
+// Drop a job that has not started yet; returns whether it was waiting
+const remove = (id) => {
+  const index = pending.findIndex((job) => job.id === id);
+  if (index === -1) return false;
+  pending.splice(index, 1);
+  notifyPositions();
+  return true;
+};
+
+const getPosition = (id) => {
+  const index = pending.findIndex((job) => job.id === id);
+  return index === -1 ? null : index + 1;
+};
+
+const getStats = () => ({
+  queued: pending.length,
+  active: active.size,
+  maxConcurrent: MAX_CONCURRENT_DOWNLOADS,
+  platformLimits,
+});
+
+module.exports = {
+  enqueue,
+  release,
+  remove,
+  getPosition,
+  getStats,
+  events,
+};
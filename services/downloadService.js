@@ -1,106 +1,105 @@
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const { spawn } = require('child_process');
 const { v4: uuidv4 } = require('uuid');
 const EventEmitter = require('events');
 const ytdl = require('yt-dlp-exec');
 const ytdlPath = path.join(__dirname, '../bin/yt-dlp');
 const { validateUrl } = require('../utils/validation');
+const { buildThumbnailProxyUrl } = require('../utils/helpers');
+const { resolvePlatform, formatExtractorArgs } = require('../utils/platforms');
+const { getMediaId, normalizeUrl } = require('../utils/canonicalUrl');
+const cookieService = require('./cookieService');
+const retentionService = require('./retentionService');
+const { sessionKey, getSession, createSession, serveSession } = require('./streamSessions');
+const { toYtdlError, describeError, sendError, ERROR_TYPES } = require('../utils/errors');
+const jobStore = require('../utils/jobStore');
+const downloadQueue = require('./downloadQueue');
+const {
+  FFMPEG_PATH,
+  AUDIO_CODECS,
+  AUDIO_PRESETS,
+  toFormatId,
+  buildExtractAudioArgs,
+  buildTranscodeArgs,
+} = require('../utils/audio');
+const { PROGRESS_ARGS, INFO_ARGS, createProgressParser } = require('../utils/progressParser');
+const webhookService = require('./webhookService');
+const infoService = require('./infoService');
+const { isSubtitleFile, buildSubtitleArgs } = require('../utils/subtitles');
+const { fitClipToDuration, scaleSizeToClip, buildClipArgs } = require('../utils/clips');
+const { getTemplateValues, renderFilename, withExtension } = require('../utils/filenames');
+const { createCounter, createGauge } = require('../utils/metrics');
+const { canAccess } = require('../utils/auth');
+const { getEncryptionKey, encrypt, decrypt } = require('../utils/encryption');
+const {
+  RESUME_INTERRUPTED_DOWNLOADS,
+  JOB_HISTORY_HOURS,
+  FILENAME_TEMPLATE,
+  STREAM_BUFFER_DIR,
+  FILE_RETENTION_MINUTES,
+} = require('../utils/config');
 
 const DOWNLOAD_DIR = process.env.DOWNLOAD_DIR || path.join(__dirname, '../downloads');
 
 const downloads = new Map();
 const progressEmitters = new Map();
+const processes = new Map(); // id -> running yt-dlp child of a background download
+const followers = new Map(); // id -> ids of jobs attached to that in-flight download
+const heirs = new Map(); // id -> job its in-flight download was handed over to (see detach)
+const runs = new Map(); // id -> runDownload in progress, from the moment the queue starts it
+const webhooksSent = new Set(); // "<id>:<event>" callbacks already triggered
+
+const HISTORY_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// 'error' is only listened for while a progress stream is open; without a listener
+// EventEmitter would throw it, breaking the sync of the jobs sharing a download
+class DownloadProgressEmitter extends EventEmitter {
+  emit(event, ...args) {
+    if (event === 'error' && this.listenerCount('error') === 0) return false;
+    return super.emit(event, ...args);
+  }
+}
 
-class DownloadProgressEmitter extends EventEmitter {}
+// Emits 'update' with the job whenever a background download changes state or progress
+const jobEvents = new EventEmitter();
+
+const completedDownloads = createCounter('downloads_completed_total', 'Background downloads finished with a file, by platform.');
+const streamedBytes = createCounter('stream_bytes_total', 'Bytes sent to clients by stream downloads, by platform.');
+
+// Jobs held in memory (the job history) by status; active and queued ones are always reported
+createGauge('downloads', 'Download jobs by status, within the job history.', () => {
+  const counts = { queued: 0, downloading: 0, streaming: 0, completed: 0 };
+  for (const job of downloads.values()) counts[job.status] = (counts[job.status] || 0) + 1;
+  return Object.entries(counts).map(([status, value]) => ({ labels: { status }, value }));
+});
 
-const PLATFORM_CONFIGS = {
-  youtube: {
-    extractorArgs: {
-      youtube: {
-        skip_webpage: true,
-        player_client: 'android',
-      },
-    },
-    userAgent:
-      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36',
-    referer: 'https://www.youtube.com/',
-  },
-  instagram: {
-    userAgent:
-      'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1',
-    referer: 'https://www.instagram.com/',
-    forceIpv4: false, // Adjusted for better compatibility
-  },
-  facebook: {
-    userAgent:
-      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36',
-    extractorArgs: {
-      facebook: {
-        skip_auth: false,
-        skip_web_fallback: true,
-      },
-    },
-  },
-  soundcloud: {
-    userAgent:
-      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36',
-    referer: 'https://soundcloud.com/',
-    extractorArgs: {
-      soundcloud: {
-        format: 'mp3', // Prefer MP3 for audio
-      },
-    },
-  },
-  twitter: {
-  userAgent:
-    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36',
-  referer: 'https://twitter.com/',
-  extractorArgs: {
-    twitter: {
-      skip_webpage: true,
-    },
-  },
-},
-  default: {
-    userAgent:
-      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36',
-    referer: 'https://www.google.com/',
-  },
-};
-
-// URL detection functions
-const isInstagramUrl = (url) => /instagram\.com/i.test(url);
-const isFacebookUrl = (url) => /facebook\.com|fb\.watch/i.test(url);
-const isSoundCloudUrl = (url) => /soundcloud\.com/i.test(url);
 const getVideoUrl = (input) => (typeof input === 'string' ? input : input.url);
+const getRequestedPlatform = (input) => (typeof input === 'object' ? input.platform : undefined);
 
+// Platform of a request: detected from the URL, falling back to the client-supplied id
+const platformOf = (input) => resolvePlatform(getVideoUrl(input), getRequestedPlatform(input));
+const isAudioOnly = (input) => Boolean(platformOf(input).audioOnly);
+
+// Cookies never go through here: they are written to a per-request file (see withRequestCookies)
 const buildYtdlOptions = (input, extraOptions = {}) => {
-  const config = typeof input === 'object' ? input.config || {} : {};
-  const platform = typeof input === 'object' ? input.platform || (isSoundCloudUrl(getVideoUrl(input)) ? 'soundcloud' : 'default') : 'default';
-  const videoUrl = getVideoUrl(input);
+  const { cookies, ...config } = typeof input === 'object' ? input.config || {} : {};
+  const platform = platformOf(input);
+  const extractorArgs = formatExtractorArgs(platform.extractorArgs);
 
   const baseOptions = {
     noCheckCertificates: true,
     noWarnings: true,
-    ...PLATFORM_CONFIGS.default,
-    ...(PLATFORM_CONFIGS[platform] || {}),
+    userAgent: platform.userAgent,
+    ...(platform.referer ? { referer: platform.referer } : {}),
+    ...(extractorArgs.length ? { extractorArgs } : {}),
     ...config,
   };
 
-  if (isInstagramUrl(videoUrl)) {
-    if (process.env.INSTAGRAM_COOKIES) {
-      baseOptions.addHeader = baseOptions.addHeader || [];
-      baseOptions.addHeader.push(`cookie: ${process.env.INSTAGRAM_COOKIES}`);
-    }
-    if (process.env.INSTAGRAM_PROXY) {
-      baseOptions.proxy = process.env.INSTAGRAM_PROXY;
-    }
-  }
-
-  if (baseOptions.cookies && baseOptions.cookies.trim() !== '') {
-    baseOptions.addHeader = [`cookie: ${baseOptions.cookies.trim()}`];
-    delete baseOptions.cookies;
+  // Server-wide proxy configured for the platform (e.g. INSTAGRAM_PROXY)
+  if (platform.proxyEnv && process.env[platform.proxyEnv]) {
+    baseOptions.proxy = process.env[platform.proxyEnv];
   }
 
   if (baseOptions.proxy && baseOptions.proxy.trim() === '') {
@@ -186,94 +185,141 @@ const getBestFormatForSizeCalculation = (formats) => {
   )[0];
 };
 
+/**
+ * Run fn with yt-dlp options for a request, including `cookies` pointing at an isolated
+ * cookie file when a profile, inline cookies or server cookies apply. The file is removed
+ * when fn settles.
+ */
+const withRequestCookies = async (input, fn, extraOptions = {}) => {
+  const jar = await cookieService.resolveCookieJar(input);
+  return cookieService.withCookieFile(jar, (cookieFile) =>
+    fn(buildYtdlOptions(input, cookieFile ? { ...extraOptions, cookies: cookieFile } : extraOptions), jar)
+  );
+};
+
+// Metadata for a URL through the shared, cached info layer; extraction failures
+// come back classified (see utils/errors.js)
+const fetchInfo = (url) =>
+  withRequestCookies(url, (options, jar) =>
+    infoService.getInfo(getVideoUrl(url), options, { cookieIdentity: jar && jar.identity })
+  ).catch((error) => {
+    throw toYtdlError(error, platformOf(url).id);
+  });
+
 const getFormats = async (url) => {
   try {
-    const videoUrl = getVideoUrl(url);
-    const options = buildYtdlOptions(url, {
-      dumpSingleJson: true,
-      preferFreeFormats: true,
-    });
-
-    const info = await ytdl(videoUrl, options);
+    const platform = platformOf(url);
+    const audioOnly = Boolean(platform.audioOnly);
+    const info = await fetchInfo(url);
     const duration = info.duration;
 
-    let formats = isSoundCloudUrl(videoUrl)
+    let formats = audioOnly
       ? info.formats.filter((f) => f.acodec !== 'none' && f.vcodec === 'none') // Audio-only for SoundCloud
       : info.formats.filter((f) => f.vcodec !== 'none' && f.acodec !== 'none'); // Progressive for others
 
-    return formats.map((f) => {
+    const audioFormats = AUDIO_PRESETS.map((preset) => ({
+      format_id: toFormatId(preset),
+      ext: AUDIO_CODECS[preset.codec].ext,
+      resolution: `${preset.bitrate}kbps`,
+      format_note: `audio only (${preset.codec})`,
+      filesize: calculateFileSize({ vcodec: 'none', abr: preset.bitrate }, duration),
+    }));
+
+    const mediaFormats = formats.map((f) => {
       let filesize = calculateFileSize(f, duration);
 
-      if (!filesize && (isFacebookUrl(videoUrl) || isInstagramUrl(videoUrl))) {
+      if (!filesize && platform.adaptiveFormats) {
         filesize = getEstimatedSizeForAdaptive(info.formats, duration);
       }
 
       if (!filesize && duration) {
         const height = f.height || 720;
-        const estimatedBitrate = isSoundCloudUrl(videoUrl) ? 128 : estimateBitrateByRes(height);
+        const estimatedBitrate = audioOnly ? 128 : estimateBitrateByRes(height);
         filesize = (estimatedBitrate * 1000 * duration) / 8;
       }
 
       return {
         format_id: f.format_id,
-        ext: f.ext || (isSoundCloudUrl(videoUrl) ? 'mp3' : 'mp4'),
-        resolution: isSoundCloudUrl(videoUrl) ? f.abr ? `${f.abr}kbps` : 'audio' : f.resolution || `${f.height}p` || 'unknown',
-        format_note: f.format_note || (isSoundCloudUrl(videoUrl) ? 'audio' : 'video'),
+        ext: f.ext || (audioOnly ? 'mp3' : 'mp4'),
+        resolution: audioOnly ? f.abr ? `${f.abr}kbps` : 'audio' : f.resolution || `${f.height}p` || 'unknown',
+        format_note: f.format_note || (audioOnly ? 'audio' : 'video'),
         filesize: filesize || null,
       };
     });
+
+    return [...mediaFormats, ...audioFormats];
   } catch (error) {
-    throw new Error('Failed to get formats: ' + error.message);
+    throw toYtdlError(error, platformOf(url).id);
+  }
+};
+
+// Size of the whole media as shown in previews: reported size, else a bitrate-based estimate
+const estimatePreviewSize = (info, platform) => {
+  let fileSize = info.filesize || info.filesize_approx;
+
+  if (!fileSize) {
+    const bestFormat = platform.audioOnly
+      ? info.formats.filter((f) => f.acodec !== 'none' && f.vcodec === 'none').sort((a, b) => (b.abr || 0) - (a.abr || 0))[0]
+      : getBestFormatForSizeCalculation(info.formats);
+    if (bestFormat) {
+      fileSize = calculateFileSize(bestFormat, info.duration);
+    }
+  }
+
+  if (!fileSize && platform.adaptiveFormats) {
+    fileSize = getEstimatedSizeForAdaptive(info.formats, info.duration);
+  }
+
+  if (!fileSize && info.duration) {
+    const defaultBitrate = platform.audioOnly ? 128 : estimateBitrateByRes(720);
+    fileSize = (defaultBitrate * 1000 * info.duration) / 8;
   }
+
+  return fileSize || null;
+};
+
+// Fit a parsed clip to the media and attach the preview size estimate scaled to its length
+const fitClip = (info, platform, clip) => {
+  const fitted = fitClipToDuration(clip, info.duration);
+  return { ...fitted, estimatedSize: scaleSizeToClip(estimatePreviewSize(info, platform), fitted, info.duration) };
 };
 
-const getVideoPreview = async (url) => {
+// Validate a clip against the media duration before a download or stream starts (400 when outside it)
+const prepareClip = async (url, clip) => fitClip(await fetchInfo(url), platformOf(url), clip);
+
+// With a clip, fileSize is the estimate for the clip only
+const getVideoPreview = async (url, { clip = null } = {}) => {
   const maxRetries = 3;
   let retries = 0;
   const videoUrl = getVideoUrl(url);
+  const platform = platformOf(url);
 
   while (retries <= maxRetries) {
     try {
-      const options = buildYtdlOptions(url, {
-        dumpSingleJson: true,
-        skipDownload: true,
-      });
-
-      const info = await ytdl(videoUrl, options);
-      let fileSize = info.filesize || info.filesize_approx;
-
-      if (!fileSize) {
-        const bestFormat = isSoundCloudUrl(videoUrl)
-          ? info.formats.filter((f) => f.acodec !== 'none' && f.vcodec === 'none').sort((a, b) => (b.abr || 0) - (a.abr || 0))[0]
-          : getBestFormatForSizeCalculation(info.formats);
-        if (bestFormat) {
-          fileSize = calculateFileSize(bestFormat, info.duration);
-        }
-      }
-
-      if (!fileSize && (isFacebookUrl(videoUrl) || isInstagramUrl(videoUrl))) {
-        fileSize = getEstimatedSizeForAdaptive(info.formats, info.duration);
-      }
-
-      if (!fileSize && info.duration) {
-        const defaultBitrate = isSoundCloudUrl(videoUrl) ? 128 : estimateBitrateByRes(720);
-        fileSize = (defaultBitrate * 1000 * info.duration) / 8;
-      }
+      const info = await fetchInfo(url);
+      const fittedClip = clip ? fitClip(info, platform, clip) : null;
+      const fileSize = fittedClip ? fittedClip.estimatedSize : estimatePreviewSize(info, platform);
 
       return {
         id: info.id || videoUrl,
+        canonicalUrl: videoUrl,
+        mediaId: getMediaId(videoUrl) || info.id || null,
         title: info.title || 'Untitled',
         thumbnail: info.thumbnail || null,
+        proxiedThumbnail: buildThumbnailProxyUrl(info.thumbnail, platform.id),
         duration: info.duration,
         platform: info.extractor_key,
         uploader: info.uploader || 'Unknown',
         view_count: info.view_count || null,
         fileSize: fileSize || null,
+        ...(fittedClip ? { clip: fittedClip } : {}),
       };
     } catch (error) {
       retries++;
-      if (retries > maxRetries) {
-        throw new Error('Failed to get video preview: ' + error.message);
+      const failure = toYtdlError(error, platform.id);
+      // Retrying cannot fix private, missing or login-gated content
+      if (retries > maxRetries || (failure.code !== 'INTERNAL_ERROR' && !failure.retryable)) {
+        throw failure;
       }
       await new Promise((resolve) => setTimeout(resolve, 1000 * retries));
     }
@@ -281,13 +327,7 @@ const getVideoPreview = async (url) => {
 };
 
 const getStreamUrl = async (url, format) => {
-  const videoUrl = getVideoUrl(url);
-  const options = buildYtdlOptions(url, {
-    format: format || (isSoundCloudUrl(videoUrl) ? 'bestaudio[ext=mp3]' : 'best'),
-    dumpSingleJson: true,
-  });
-
-  const info = await ytdl(videoUrl, options);
+  const info = await fetchInfo(url);
 
   const hlsFormat = info.formats.find(
     (f) =>
@@ -317,7 +357,7 @@ const getStreamUrl = async (url, format) => {
     }
   }
 
-  const preferred = isSoundCloudUrl(videoUrl)
+  const preferred = isAudioOnly(url)
     ? info.formats.filter((f) => f.acodec !== 'none' && f.vcodec === 'none').sort((a, b) => (b.abr || 0) - (a.abr || 0))[0]
     : info.formats.filter((f) => f.protocol === 'https' && f.vcodec !== 'none' && f.acodec !== 'none').sort((a, b) => (b.filesize || 0) - (a.filesize || 0))[0];
 
@@ -330,93 +370,662 @@ const getStreamUrl = async (url, format) => {
     };
   }
 
-  throw new Error('No suitable stream format found');
+  throw Object.assign(new Error('No suitable stream format found'), {
+    code: 'FORMAT_UNAVAILABLE',
+    status: ERROR_TYPES.FORMAT_UNAVAILABLE.status,
+    retryable: false,
+  });
 };
 
-const startDownload = async (url, format) => {
-  const id = uuidv4();
+// Callback secrets are stored encrypted with COOKIE_ENCRYPTION_KEY. Without a key only
+// the fact that the job had one is kept, so it cannot be restored after a restart.
+const sealCallbackSecret = (job) => {
+  if (!job.callbackSecret) return null;
+  const key = getEncryptionKey();
+  return { sealed: key ? encrypt(job.callbackSecret, `${job.id}:callbackSecret`, key) : null };
+};
+
+// Plaintext secrets in records written before they were sealed are taken as they are
+const openCallbackSecret = (job) => {
+  const secret = job.callbackSecret;
+  if (!secret || typeof secret === 'string') return secret || null;
+  const key = getEncryptionKey();
+  if (!secret.sealed || !key) return undefined;
+  try {
+    return decrypt(secret.sealed, `${job.id}:callbackSecret`, key);
+  } catch (error) {
+    return undefined;
+  }
+};
+
+// Persist the current state of a job; callers never wait on the store
+const persistJob = (id) => {
+  const job = downloads.get(id);
+  if (!job) return;
+  job.updatedAt = Date.now();
+  jobStore.saveJob({ ...job, callbackSecret: sealCallbackSecret(job) });
+};
+
+// Fire the job's callback once it reaches a final state; every attempt lands in its delivery log
+const notifyWebhook = (job) => {
+  const event = webhookService.WEBHOOK_EVENTS[job.status];
+  if (!event || !job.callbackUrl) return;
+
+  const key = `${job.id}:${event}`;
+  if (webhooksSent.has(key) || job.webhookDeliveries.some((d) => d.event === event)) return;
+  webhooksSent.add(key);
+
+  webhookService.deliver({ ...job }, event, (record) => {
+    job.webhookDeliveries.push(record);
+    persistJob(job.id);
+  });
+};
+
+const updateJob = (id, changes) => {
+  const job = downloads.get(id);
+  if (!job) return null;
+  Object.assign(job, changes);
+  persistJob(id);
+  jobEvents.emit('update', job);
+  if (changes.status && job.status !== 'streaming') notifyWebhook(job);
+  return job;
+};
+
+// Progress figures exposed on jobs, SSE progress events and GET /download/:id
+const getTelemetry = (job) => ({
+  progress: job.progress,
+  phase: job.phase || null,
+  downloadedBytes: job.downloadedBytes ?? null,
+  totalBytes: job.totalBytes ?? null,
+  speed: job.speed ?? null,
+  eta: job.eta ?? null,
+  fragmentIndex: job.fragmentIndex ?? null,
+  fragmentCount: job.fragmentCount ?? null,
+});
+
+// Error carrying the HTTP status routes should answer with
+const createError = (message, status) => Object.assign(new Error(message), { status });
+
+// Unmerged single-format downloads (<id>.f137.mp4, <id>.f140.m4a) that yt-dlp merges into the final file
+const FORMAT_INTERMEDIATE_PATTERN = /\.f\d+(-\d+)?\.[^.]+$/;
+
+// The finished file of a download: never a fragment, temp file or unmerged format, and
+// for audio jobs only a file of the requested codec (the source is deleted after conversion)
+const findOutputFile = (id, audio = null) =>
+  fs
+    .readdirSync(DOWNLOAD_DIR)
+    .find(
+      (f) =>
+        f.startsWith(`${id}.`) &&
+        !retentionService.FRAGMENT_PATTERN.test(f) &&
+        !FORMAT_INTERMEDIATE_PATTERN.test(f) &&
+        !isSubtitleFile(f) &&
+        (!audio || path.extname(f) === `.${AUDIO_CODECS[audio.codec].ext}`)
+    ) || null;
+
+// Sideloaded subtitles are written next to the media file as <id>.<lang>.<ext>
+const findSubtitleFiles = (id) =>
+  fs
+    .readdirSync(DOWNLOAD_DIR)
+    .filter((f) => f.startsWith(`${id}.`) && isSubtitleFile(f))
+    .map((f) => ({
+      language: f.slice(id.length + 1).split('.')[0],
+      downloadUrl: `/downloads/${f}`,
+    }));
+
+// Job a download started as `id` now reports to; its files keep the <id>. prefix
+const ownerOf = (id) => heirs.get(id) || id;
+
+// Download a job's state comes from: the one handed over to it, else its own
+const runnerOf = (id) => [...heirs].find(([, heir]) => heir === id)?.[0] || id;
+
+// Paused or cancelled by pauseDownload / cancelDownload, possibly before yt-dlp was started
+const wasStopped = (id) => ['paused', 'cancelled'].includes(downloads.get(ownerOf(id)).status);
+
+// State changes and events of a running download go to whichever job owns it by then
+const runDownload = async (id) => {
+  const job = downloads.get(id);
+  const emit = (...args) => progressEmitters.get(ownerOf(id)).emit(...args);
+  const videoUrl = job.url;
+  const format = job.format;
+  const audio = job.audio;
   const output = path.join(DOWNLOAD_DIR, `${id}.%(ext)s`);
-  const videoUrl = getVideoUrl(url);
 
-  const progressEmitter = new DownloadProgressEmitter();
-  progressEmitters.set(id, progressEmitter);
+  const input = { url: videoUrl, platform: job.platform, cookieProfile: job.cookieProfile };
+  let cookieFile = null;
+
+  updateJob(ownerOf(id), { status: 'downloading', phase: 'extracting', startedAt: Date.now() });
+  emit('started');
+
+  try {
+    // Queued jobs may start long after the free-space check of startDownload
+    await retentionService.ensureFreeSpace();
+    const platform = platformOf(input);
+    cookieFile = await cookieService.createCookieFile(await cookieService.resolveCookieJar(input));
+    const options = buildYtdlOptions(input, cookieFile.path ? { cookies: cookieFile.path } : {});
+    const args = [videoUrl, '-o', output, '--no-playlist'];
+
+    if (audio) {
+      // Synthetic audio-* format ids only describe the target codec
+      args.push('-f', format && !format.startsWith('audio-') ? format : 'bestaudio/best');
+      args.push(...buildExtractAudioArgs(audio));
+    } else if (format) {
+      args.push('-f', format);
+    } else if (platform.defaultFormat) {
+      args.push('-f', platform.defaultFormat);
+    }
+
+    if (options.cookies) args.push('--cookies', options.cookies);
+    if (options.proxy) args.push('--proxy', options.proxy);
+    if (options.userAgent) args.push('--user-agent', options.userAgent);
+    if (options.referer) args.push('--referer', options.referer);
+    if (options.addHeader) {
+      options.addHeader.forEach((hdr) => args.push('--add-header', hdr));
+    }
+    if (options.extractorArgs) {
+      options.extractorArgs.forEach((arg) => args.push('--extractor-args', arg));
+    }
+
+    if (platform.audioOnly && !audio) {
+      args.push('--merge-output-format', 'mp3');
+    }
+
+    if (job.subtitles) {
+      args.push(...buildSubtitleArgs(job.subtitles));
+    }
+
+    if (job.clip) {
+      args.push(...buildClipArgs(job.clip));
+    }
+
+    // Continue from leftover .part files when a paused download is resumed
+    args.push('--continue', ...PROGRESS_ARGS, ...INFO_ARGS);
+
+    // The awaits above leave room for a pause or cancel that had no process to kill
+    if (wasStopped(id)) return;
+
+    const ytdlProcess = ytdl.exec(args);
+    processes.set(id, ytdlProcess);
+
+    const parser = createProgressParser({
+      onProgress: (telemetry) => {
+        const download = downloads.get(ownerOf(id));
+        if (download) {
+          Object.assign(download, telemetry);
+          emit('progress', getTelemetry(download));
+          jobEvents.emit('update', download);
+        }
+      },
+      onInfo: (info) => {
+        const download = downloads.get(ownerOf(id));
+        if (download) {
+          download.metadata = {
+            id: info.id || null,
+            title: info.title || null,
+            thumbnail: info.thumbnail || null,
+            duration: info.duration || null,
+            uploader: info.uploader || null,
+            extractor: info.extractor_key || null,
+            webpageUrl: info.webpage_url || null,
+          };
+          download.filename = renderFilename(
+            download.filenameTemplate || FILENAME_TEMPLATE,
+            getTemplateValues(info, platform.name),
+            info.ext
+          );
+        }
+      },
+    });
+    ytdlProcess.stdout.on('data', parser.push);
+    ytdlProcess.stderr.on('data', parser.createInput());
+
+    await ytdlProcess;
+    // yt-dlp can exit cleanly after the SIGTERM; keep the paused or cancelled status
+    if (wasStopped(id)) return;
+
+    const outputFile = findOutputFile(id, audio);
+
+    if (outputFile) {
+      const filePath = path.join(DOWNLOAD_DIR, outputFile);
+      const owner = downloads.get(ownerOf(id));
+      updateJob(owner.id, {
+        status: 'completed',
+        progress: 100,
+        filePath,
+        // Name offered to clients; the file on disk keeps its <id>.<ext> name
+        filename: owner.filename ? withExtension(owner.filename, path.extname(outputFile).slice(1)) : null,
+        fileSize: fs.statSync(filePath).size,
+        subtitleFiles: job.subtitles && job.subtitles.mode === 'sideload' ? findSubtitleFiles(id) : [],
+        completedAt: Date.now(),
+      });
+      completedDownloads.inc({ platform: job.platform });
+      emit('completed', filePath);
+    } else {
+      throw new Error('Output file not found');
+    }
+  } catch (error) {
+    // Killed on purpose by pauseDownload / cancelDownload
+    if (wasStopped(id)) return;
+
+    const failure = toYtdlError(error, job.platform);
+    updateJob(ownerOf(id), {
+      status: 'error',
+      error: failure.message,
+      errorCode: failure.code,
+      retryable: failure.retryable,
+      errorDetail: failure.detail || null,
+    });
+    emit('error', describeError(failure));
+  } finally {
+    processes.delete(id);
+    heirs.delete(id);
+    if (cookieFile) cookieFile.cleanup();
+  }
+};
+
+// Kill the yt-dlp child of a job and wait (bounded) for it to exit
+const stopProcess = async (id) => {
+  const child = processes.get(id);
+  if (!child) return;
+
+  child.kill('SIGTERM');
+  await Promise.race([
+    child.catch(() => {}),
+    new Promise((resolve) => setTimeout(resolve, 5000)),
+  ]);
+};
+
+// Wait (bounded) for the run of a stopped job to return. A run stopped before it spawned
+// yt-dlp is still between its awaits and returns once it sees the new status.
+const waitForRun = async (id) => {
+  const running = runs.get(id);
+  if (!running) return;
+  await Promise.race([running.catch(() => {}), new Promise((resolve) => setTimeout(resolve, 5000))]);
+};
+
+const removePartialFiles = (id) => {
+  fs.readdirSync(DOWNLOAD_DIR)
+    .filter((f) => f.startsWith(id))
+    .forEach((f) => {
+      try {
+        fs.unlinkSync(path.join(DOWNLOAD_DIR, f));
+      } catch (err) {
+        console.error('Partial file deletion error:', err.message);
+      }
+    });
+};
+
+const getJobOrThrow = (id) => {
+  const job = downloads.get(id);
+  if (!job || job.status === 'streaming' || !progressEmitters.has(id)) {
+    throw createError('Download not found', 404);
+  }
+  return job;
+};
+
+// Jobs of other API keys answer 404, the same as jobs that do not exist
+const assertJobAccess = (id, apiKey) => {
+  const job = downloads.get(id);
+  if (!job || !canAccess(apiKey, job.apiKeyId)) throw createError('Download not found', 404);
+  return job;
+};
+
+/**
+ * Take a job off a download other jobs share, which keeps running for them. A follower
+ * just stops following; the owner hands the download over to its first follower, which
+ * the others then follow. False when no other job shares the download.
+ */
+const detach = (id) => {
+  const job = downloads.get(id);
+  if (job.sharedFrom && followers.has(job.sharedFrom) && followers.get(job.sharedFrom).delete(id)) return true;
+
+  const [heir, ...rest] = getFollowers(id);
+  if (!heir) return false;
+
+  followers.delete(id);
+  if (rest.length) followers.set(heir, new Set(rest));
+  heirs.set(runnerOf(id), heir);
+  updateJob(heir, { sharedFrom: null });
+  rest.forEach((followerId) => updateJob(followerId, { sharedFrom: heir }));
+  return true;
+};
+
+const cancelDownload = async (id) => {
+  const job = getJobOrThrow(id);
+  if (!['queued', 'downloading', 'paused', 'interrupted'].includes(job.status)) {
+    throw createError(`Cannot cancel a download that is ${job.status}`, 409);
+  }
+
+  // yt-dlp is only stopped once no other job shares the download
+  if (detach(id)) {
+    updateJob(id, { status: 'cancelled' });
+    progressEmitters.get(id).emit('cancelled');
+    return { ...job };
+  }
+
+  const runner = runnerOf(id);
+  updateJob(id, { status: 'cancelled' });
+  downloadQueue.remove(runner);
+  await stopProcess(runner);
+  await waitForRun(runner);
+  removePartialFiles(runner);
+
+  progressEmitters.get(id).emit('cancelled');
+  return { ...job };
+};
+
+const pauseDownload = async (id) => {
+  const job = getJobOrThrow(id);
+  if (!['queued', 'downloading'].includes(job.status)) {
+    throw createError(`Cannot pause a download that is ${job.status}`, 409);
+  }
+
+  if (detach(id)) {
+    updateJob(id, { status: 'paused' });
+    progressEmitters.get(id).emit('paused', getTelemetry(job));
+    return { ...job };
+  }
+
+  const runner = runnerOf(id);
+  updateJob(id, { status: 'paused' });
+  downloadQueue.remove(runner);
+  await stopProcess(runner);
+  await waitForRun(runner);
+
+  progressEmitters.get(id).emit('paused', getTelemetry(job));
+  return { ...job };
+};
+
+// A job that left a shared download joins it again while it runs (or once it finished)
+const resumeDownload = async (id) => {
+  const job = getJobOrThrow(id);
+  if (!['paused', 'interrupted'].includes(job.status)) {
+    throw createError(`Cannot resume a download that is ${job.status}`, 409);
+  }
+
+  // A second run would spawn yt-dlp next to the first one, on the same output files
+  if (runs.has(runnerOf(id))) {
+    throw createError('The download is still stopping; resume it again in a moment', 409);
+  }
+
+  const shared = job.dedupKey ? findSharedJob(job.dedupKey) : null;
+  updateJob(id, { status: 'queued', error: null, sharedFrom: null });
+  if (shared && shared.id !== id) attachToJob(shared, id);
+  else enqueueDownload(id);
+
+  return { ...job, queuePosition: downloadQueue.getPosition(runnerOf(id)) };
+};
+
+const enqueueDownload = (id) => {
+  const job = downloads.get(id);
+  downloadQueue.enqueue(id, {
+    platform: job.platform,
+    priority: job.priority,
+    run: () => {
+      const running = runDownload(id).finally(() => runs.delete(id));
+      runs.set(id, running);
+      return running;
+    },
+  });
+};
+
+downloadQueue.events.on('position', (id, position) => {
+  const progressEmitter = progressEmitters.get(ownerOf(id));
+  if (progressEmitter) progressEmitter.emit('queued', position);
+});
+
+// Requests for the same canonical URL, format and options share one download and one file
+const getDedupKey = (videoUrl, { format, audio, subtitles, clip, filenameTemplate, cookieProfile }) =>
+  crypto
+    .createHash('sha256')
+    .update(
+      JSON.stringify([
+        normalizeUrl(videoUrl),
+        format || null,
+        audio,
+        subtitles,
+        clip ? [clip.start, clip.end, clip.exactCuts] : null,
+        filenameTemplate || FILENAME_TEMPLATE,
+        cookieProfile,
+      ])
+    )
+    .digest('hex');
+
+// A finished job whose file is still on disk, else a queued or running one, for the same key
+const findSharedJob = (dedupKey) => {
+  const candidates = [...downloads.values()].filter((job) => job.dedupKey === dedupKey && !job.sharedFrom);
+  return (
+    candidates.find((job) => job.status === 'completed' && job.filePath && fs.existsSync(job.filePath)) ||
+    candidates.find((job) => ['queued', 'downloading'].includes(job.status)) ||
+    null
+  );
+};
+
+// Mirror the state of a shared download onto an attached job and replay it on the job's progress stream
+const syncFollower = (source, followerId) => {
+  const follower = downloads.get(followerId);
+  if (!follower) return;
+
+  const changes = { ...getTelemetry(source), status: source.status, metadata: source.metadata || null };
+  if (source.status === 'completed') {
+    Object.assign(changes, {
+      filePath: source.filePath,
+      fileSize: source.fileSize,
+      filename: source.filename,
+      subtitleFiles: source.subtitleFiles || [],
+      completedAt: Date.now(),
+    });
+  } else if (source.status === 'error') {
+    Object.assign(changes, {
+      error: source.error,
+      errorCode: source.errorCode,
+      retryable: source.retryable,
+      errorDetail: source.errorDetail,
+    });
+  }
+
+  const progressEmitter = progressEmitters.get(followerId);
+  if (changes.status === follower.status) {
+    Object.assign(follower, changes);
+    progressEmitter.emit('progress', getTelemetry(follower));
+    jobEvents.emit('update', follower);
+    return;
+  }
+
+  updateJob(followerId, changes);
+  if (changes.status === 'downloading') progressEmitter.emit('started');
+  else if (changes.status === 'completed') progressEmitter.emit('completed', changes.filePath);
+  else if (changes.status === 'error') {
+    progressEmitter.emit('error', {
+      error: source.error,
+      code: source.errorCode || 'INTERNAL_ERROR',
+      retryable: Boolean(source.retryable),
+    });
+  }
+};
+
+const TERMINAL_SHARED_STATUSES = ['completed', 'error', 'cancelled', 'interrupted', 'expired'];
+
+// Attach a new job to an equivalent one: it completes at once from a finished file,
+// or follows an in-flight download until that download finishes
+const attachToJob = (source, id) => {
+  updateJob(id, { sharedFrom: source.id });
+  if (source.status !== 'completed') {
+    if (!followers.has(source.id)) followers.set(source.id, new Set());
+    followers.get(source.id).add(id);
+  }
+  syncFollower(source, id);
+};
 
+// Ids of jobs still following an in-flight download
+const getFollowers = (id) => [...(followers.get(id) || [])];
+
+jobEvents.on('update', (job) => {
+  const attached = followers.get(job.id);
+  if (!attached) return;
+  attached.forEach((followerId) => syncFollower(job, followerId));
+  if (TERMINAL_SHARED_STATUSES.includes(job.status)) followers.delete(job.id);
+});
+
+const startDownload = async (
+  url,
+  format,
+  {
+    priority = 0,
+    batchId = null,
+    audio = null,
+    callback = null,
+    subtitles = null,
+    clip = null,
+    filenameTemplate = null,
+    cookieProfile = null,
+    apiKeyId = null,
+  } = {}
+) => {
+  // Rejected before a job exists when the disk is nearly full or the clip lies outside the media
+  // (checked with the job's cookie profile, as private media cannot be extracted without it)
+  await retentionService.ensureFreeSpace();
+  if (clip) clip = await prepareClip({ url: getVideoUrl(url), platform: getRequestedPlatform(url), cookieProfile }, clip);
+
+  const id = uuidv4();
+  const now = Date.now();
+  const videoUrl = getVideoUrl(url);
+  const dedupKey = getDedupKey(videoUrl, { format, audio, subtitles, clip, filenameTemplate, cookieProfile });
+  const shared = findSharedJob(dedupKey);
+
+  progressEmitters.set(id, new DownloadProgressEmitter());
   downloads.set(id, {
     id,
     url: videoUrl,
+    dedupKey,
+    // Id of the job whose download (and file) this one shares
+    sharedFrom: null,
     format,
-    status: 'downloading',
+    platform: platformOf(url).id,
+    priority,
+    batchId,
+    audio,
+    subtitles,
+    clip,
+    filenameTemplate,
+    filename: null,
+    // Profile id only; the cookies stay encrypted in the cookie profile store
+    cookieProfile,
+    apiKeyId,
+    callbackUrl: callback ? callback.url : null,
+    callbackSecret: callback ? callback.secret || null : null,
+    webhookDeliveries: [],
+    status: 'queued',
     progress: 0,
     filePath: null,
     error: null,
+    createdAt: now,
+    updatedAt: now,
   });
+  persistJob(id);
 
-  (async () => {
-    try {
-      const options = buildYtdlOptions(url);
-      const args = [videoUrl, '-o', output];
+  if (shared) attachToJob(shared, id);
+  else enqueueDownload(id);
 
-      if (format) {
-        args.push('-f', format);
-      } else if (isSoundCloudUrl(videoUrl)) {
-        args.push('-f', 'bestaudio[ext=mp3]');
-      }
+  return id;
+};
 
-      if (options.cookies) args.push('--cookies', options.cookies);
-      if (options.proxy) args.push('--proxy', options.proxy);
-      if (options.userAgent) args.push('--user-agent', options.userAgent);
-      if (options.referer) args.push('--referer', options.referer);
-      if (options.addHeader) {
-        options.addHeader.forEach((hdr) => args.push('--add-header', hdr));
-      }
+// List the entries of a playlist, channel or profile URL without extracting each one.
+// A URL pointing at a single item comes back as a one-element list.
+const expandPlaylist = async (url) => {
+  const videoUrl = getVideoUrl(url);
+  const info = await withRequestCookies(url, (options) => ytdl(videoUrl, options), {
+    dumpSingleJson: true,
+    flatPlaylist: true,
+  });
 
-      if (isSoundCloudUrl(videoUrl)) {
-        args.push('--merge-output-format', 'mp3');
-      }
+  if (!Array.isArray(info.entries)) {
+    return { title: info.title || null, entries: [{ url: info.webpage_url || videoUrl, title: info.title || null }] };
+  }
 
-      const ytdlProcess = ytdl.exec(args);
-
-      ytdlProcess.stderr.on('data', (data) => {
-        const line = data.toString();
-        const match = line.match(/download\s+(\d+\.\d+)%/);
-        if (match) {
-          const progress = parseFloat(match[1]);
-          const download = downloads.get(id);
-          if (download) {
-            download.progress = progress;
-            progressEmitter.emit('progress', progress);
-          }
-        }
-      });
+  return {
+    title: info.title || null,
+    entries: info.entries
+      .filter(Boolean)
+      .map((entry) => ({ url: entry.url || entry.webpage_url, title: entry.title || null }))
+      .filter((entry) => entry.url),
+  };
+};
 
-      await ytdlProcess;
+// Finished jobs are kept for JOB_HISTORY_HOURS after their last change
+const isExpiredHistory = (job) =>
+  !['queued', 'downloading', 'streaming'].includes(job.status) &&
+  (job.updatedAt || 0) < Date.now() - JOB_HISTORY_HOURS * 60 * 60 * 1000;
+
+// Reload jobs from the job store after a restart and reconcile them with DOWNLOAD_DIR
+const restoreJobs = async (records) => {
+  const jobs = records.filter((job) => !job.kind);
+  const toRestart = [];
+  const toReattach = [];
+
+  for (const job of jobs) {
+    if (isExpiredHistory(job)) {
+      jobStore.removeJob(job.id);
+      continue;
+    }
 
-      const files = fs.readdirSync(DOWNLOAD_DIR);
-      const outputFile = files.find((f) => f.startsWith(id));
+    // A callback that can no longer be signed is dropped rather than sent unsigned
+    const callbackSecret = openCallbackSecret(job);
+    if (callbackSecret === undefined) {
+      console.warn(`Dropping the callback of job ${job.id}: its secret cannot be decrypted`);
+      Object.assign(job, { callbackUrl: null, callbackSecret: null });
+    } else {
+      job.callbackSecret = callbackSecret;
+    }
 
-      if (outputFile) {
-        const filePath = path.join(DOWNLOAD_DIR, outputFile);
-        const download = downloads.get(id);
-        if (download) {
-          download.status = 'completed';
-          download.filePath = filePath;
-        }
-        progressEmitter.emit('completed', filePath);
-        scheduleFileDeletion(filePath);
-      } else {
-        throw new Error('Output file not found');
-      }
-    } catch (error) {
-      const download = downloads.get(id);
-      if (download) {
-        download.status = 'error';
-        download.error = error.message;
+    downloads.set(job.id, job);
+    progressEmitters.set(job.id, new DownloadProgressEmitter());
+
+    // Attached jobs are re-attached (or interrupted) once every job is loaded
+    if (job.sharedFrom && ['queued', 'downloading'].includes(job.status)) {
+      toReattach.push(job.id);
+      continue;
+    }
+
+    // A finished file on disk wins over a state saved while the download was still running.
+    // Paused, failed or cancelled jobs keep their state whatever partial output they left.
+    let outputFile = null;
+    if (job.sharedFrom) outputFile = job.filePath && fs.existsSync(job.filePath) ? path.basename(job.filePath) : null;
+    else if (['queued', 'downloading', 'completed'].includes(job.status)) outputFile = findOutputFile(job.id, job.audio);
+
+    if (outputFile) {
+      const filePath = path.join(DOWNLOAD_DIR, outputFile);
+      if (job.status !== 'completed') {
+        Object.assign(job, { status: 'completed', progress: 100, filePath, error: null, completedAt: Date.now() });
+        persistJob(job.id);
       }
-      progressEmitter.emit('error', error.message || 'Unknown error');
+    } else if (job.status === 'completed') {
+      updateJob(job.id, { status: 'expired', filePath: null });
+    } else if (job.status === 'queued' || (job.status === 'downloading' && RESUME_INTERRUPTED_DOWNLOADS)) {
+      toRestart.push(job.id);
+    } else if (job.status === 'downloading' || job.status === 'streaming') {
+      updateJob(job.id, { status: 'interrupted', error: 'Server restarted before the download finished' });
     }
-  })();
+  }
 
-  return id;
+  // yt-dlp picks up the leftover .part files, so restarted jobs continue where they stopped
+  toRestart
+    .sort((a, b) => downloads.get(a).createdAt - downloads.get(b).createdAt)
+    .forEach((id) => {
+      console.log(`Re-queueing download ${id}`);
+      enqueueDownload(id);
+    });
+
+  toReattach.forEach((id) => {
+    const source = downloads.get(downloads.get(id).sharedFrom);
+    if (source && (toRestart.includes(source.id) || source.status === 'completed')) {
+      attachToJob(source, id);
+    } else {
+      updateJob(id, { status: 'interrupted', error: 'Server restarted before the download finished' });
+    }
+  });
+
+  console.log(`Restored ${downloads.size} download jobs (${toRestart.length} restarted)`);
 };
 
 const setupProgressStream = (id, res) => {
@@ -437,15 +1046,36 @@ const setupProgressStream = (id, res) => {
   };
 
   const download = downloads.get(id);
-  if (download) sendEvent('progress', { progress: download.progress });
+  if (download && download.status === 'queued') {
+    sendEvent('queued', { position: downloadQueue.getPosition(id) });
+  } else if (download) {
+    sendEvent('progress', getTelemetry(download));
+  }
+
+  // Jobs restored after a restart may already be finished; report that straight away
+  if (download && download.status === 'completed' && download.filePath) {
+    sendEvent('completed', { downloadUrl: `/downloads/${path.basename(download.filePath)}` });
+  } else if (download && ['error', 'interrupted', 'expired'].includes(download.status)) {
+    sendEvent('error', {
+      error: download.error || `Download ${download.status}`,
+      code: download.errorCode || 'INTERNAL_ERROR',
+      retryable: Boolean(download.retryable),
+    });
+  } else if (download && ['paused', 'cancelled'].includes(download.status)) {
+    sendEvent(download.status, getTelemetry(download));
+  }
 
-  progressEmitter.on('progress', (progress) => sendEvent('progress', { progress }));
+  progressEmitter.on('queued', (position) => sendEvent('queued', { position }));
+  progressEmitter.on('started', () => sendEvent('started', {}));
+  progressEmitter.on('progress', (telemetry) => sendEvent('progress', telemetry));
   progressEmitter.on('completed', (filePath) => {
     sendEvent('completed', { downloadUrl: `/downloads/${path.basename(filePath)}` });
   });
-  progressEmitter.on('error', (error) => {
-    sendEvent('error', { error });
+  progressEmitter.on('error', (failure) => {
+    sendEvent('error', failure);
   });
+  progressEmitter.on('paused', (telemetry) => sendEvent('paused', telemetry));
+  progressEmitter.on('cancelled', () => sendEvent('cancelled', {}));
 
   res.on('close', () => {
     progressEmitter.removeAllListeners();
@@ -453,198 +1083,446 @@ const setupProgressStream = (id, res) => {
   });
 };
 
+// Jobs holding one of the key's concurrent download slots
+const countActiveDownloads = (apiKeyId) =>
+  [...downloads.values()].filter(
+    (job) => job.apiKeyId === apiKeyId && ['queued', 'downloading', 'streaming'].includes(job.status)
+  ).length;
+
+// Job fields clients may see. Owner, cookie profile, dedup key, webhook secret, raw yt-dlp
+// output and server paths stay internal; the file is exposed as its download URL only.
+const PUBLIC_FIELDS = [
+  'id',
+  'url',
+  'format',
+  'platform',
+  'priority',
+  'batchId',
+  'audio',
+  'subtitles',
+  'clip',
+  'filenameTemplate',
+  'filename',
+  'callbackUrl',
+  'webhookDeliveries',
+  'status',
+  'progress',
+  'phase',
+  'downloadedBytes',
+  'totalBytes',
+  'speed',
+  'eta',
+  'fragmentIndex',
+  'fragmentCount',
+  'metadata',
+  'fileSize',
+  'error',
+  'errorCode',
+  'retryable',
+  'createdAt',
+  'updatedAt',
+  'startedAt',
+  'completedAt',
+];
+
+const toStatus = (job) => ({
+  ...Object.fromEntries(PUBLIC_FIELDS.filter((field) => job[field] !== undefined).map((field) => [field, job[field]])),
+  downloadUrl: job.filePath ? `/downloads/${path.basename(job.filePath)}` : null,
+});
+
 const getDownloadStatus = (id) => {
-  const status = downloads.get(id);
-  if (!status) throw new Error('Download not found');
-  return { ...status };
+  const job = downloads.get(id);
+  if (!job) throw createError('Download not found', 404);
+  const status = toStatus(job);
+  if (status.status === 'queued') {
+    return { ...status, queuePosition: downloadQueue.getPosition(runnerOf(id)) };
+  }
+  return status;
 };
 
-const scheduleFileDeletion = (filePath) => {
-  const retentionMinutes = parseInt(process.env.FILE_RETENTION_MINUTES || '30');
-  setTimeout(() => {
-    try {
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-        console.log(`Deleted file: ${filePath}`);
-      }
-    } catch (err) {
-      console.error('File deletion error:', err.message);
-    }
-  }, retentionMinutes * 60 * 1000);
+// Download name of a file under DOWNLOAD_DIR (as rendered from the job's filename template), or null
+const getServedFilename = (file) => {
+  const job = getFileReferences(file.split('.')[0]).find((reference) => path.basename(reference.filePath) === file);
+  return job ? job.filename || null : null;
 };
 
-const streamDownload = async (url, format, res) => {
+// Jobs that still own files in DOWNLOAD_DIR, including leftover .part files they resume from.
+// Interrupted jobs can be resumed for as long as they are kept in the job history.
+const ownsFiles = (job) =>
+  ['queued', 'downloading', 'paused'].includes(job.status) ||
+  (job.status === 'interrupted' && (job.updatedAt || 0) > Date.now() - JOB_HISTORY_HOURS * 60 * 60 * 1000);
+
+// Completed jobs pointing at a file of job `id` (the job itself and the jobs that reused its file)
+const getFileReferences = (id) =>
+  [...downloads.values()].filter(
+    (job) => job.status === 'completed' && job.filePath && path.basename(job.filePath).startsWith(`${id}.`)
+  );
+
+// When the retention sweep will delete a file at the latest (the size cap can evict it sooner)
+const getFileExpiresAt = (filePath) => {
+  const references = getFileReferences(path.basename(filePath).split('.')[0]);
+  const lastUsedAt = Math.max(0, ...references.map((job) => job.completedAt || 0));
+  return lastUsedAt ? lastUsedAt + FILE_RETENTION_MINUTES * 60 * 1000 : null;
+};
+
+// Background downloads that finished with a file still on disk, as whole job records
+// for services that build their own public view of them
+const listSavedDownloads = () =>
+  [...downloads.values()].filter((job) => job.status === 'completed' && job.filePath && !job.kind).map((job) => ({ ...job }));
+
+/**
+ * Drop a finished download. The file (and its sideloaded subtitles) is removed once
+ * no other job that reused it still points at it.
+ */
+const deleteSavedDownload = (id) => {
+  const job = downloads.get(id);
+  if (!job || job.status !== 'completed' || !job.filePath) throw createError('Saved file not found', 404);
+
+  const fileId = path.basename(job.filePath).split('.')[0];
+  updateJob(id, { status: 'deleted', filePath: null });
+  if (getFileReferences(fileId).length === 0) removePartialFiles(fileId);
+  return toStatus(job);
+};
+
+// Forget finished jobs once they leave the job history, in memory and in the job store
+const pruneJobHistory = () => {
+  [...downloads.values()]
+    .filter((job) => isExpiredHistory(job) && !processes.has(job.id) && !followers.has(job.id))
+    .forEach((job) => {
+      downloads.delete(job.id);
+      const emitter = progressEmitters.get(job.id);
+      if (emitter) emitter.removeAllListeners();
+      progressEmitters.delete(job.id);
+      Object.values(webhookService.WEBHOOK_EVENTS).forEach((event) => webhooksSent.delete(`${job.id}:${event}`));
+      jobStore.removeJob(job.id);
+    });
+};
+
+const startHistoryPruning = () => setInterval(pruneJobHistory, HISTORY_PRUNE_INTERVAL_MS).unref();
+
+// Hand DOWNLOAD_DIR over to the retention sweeper; call after restoreJobs so resumable jobs are known
+const startRetentionSweeper = () =>
+  retentionService.startSweeper({
+    isInUse: (id) => processes.has(id) || (downloads.has(ownerOf(id)) && ownsFiles(downloads.get(ownerOf(id)))),
+    // A reused file is kept until the retention of the last job pointing at it runs out
+    lastUsedAt: (id) =>
+      getFileReferences(id).reduce((latest, job) => Math.max(latest, job.completedAt || 0), 0) || null,
+    onDeleted: (filePath) =>
+      getFileReferences(path.basename(filePath).split('.')[0])
+        .filter((job) => job.filePath === filePath)
+        .forEach((job) => updateJob(job.id, { status: 'expired', filePath: null })),
+  });
+
+// Metadata already extracted for a stream; streams never wait for an extraction
+const peekStreamInfo = (url, jar) =>
+  infoService.peekInfo(getVideoUrl(url), buildYtdlOptions(url), jar && jar.identity).catch(() => null);
+
+// Exact byte size of the stream when cached metadata lists the requested format with a
+// real filesize. Transcoded audio and merged/selector formats have no exact size up front.
+const getExpectedStreamSize = (info, streamFormat) => {
+  const match = info && (info.formats || []).find((f) => f.format_id === streamFormat);
+  return match && match.filesize ? match.filesize : null;
+};
+
+// Templated name from cached metadata (or metadata fetched since the stream started),
+// else the session's download-<id> fallback
+const resolveStreamFilename = async (url, session, jar, template) => {
+  const entry = downloads.get(session.streamId);
+  const info = (await peekStreamInfo(url, jar)) || (entry && entry.metadata && !entry.metadata.error ? entry.metadata : null);
+  return (info && renderFilename(template, getTemplateValues(info, platformOf(url).name), session.extension)) || session.filename;
+};
+
+// Spawn yt-dlp (and ffmpeg for audio) writing into a new stream session buffer
+const startStreamSession = async (url, { key, format, streamFormat, audio, clip, jar, apiKeyId }) => {
   const videoUrl = getVideoUrl(url);
+  const platform = platformOf(url);
+  const audioCodec = audio ? AUDIO_CODECS[audio.codec] : null;
+  await retentionService.ensureFreeSpace(STREAM_BUFFER_DIR);
 
   // Generate a stream id so we can store metadata / status server-side
   const streamId = uuidv4();
 
+  // Build minimal options for the streaming child (do not dumpSingleJson here)
+  const options = buildYtdlOptions(url, {
+    // do not request dumpSingleJson here — that's what caused the delay
+    format: streamFormat,
+  });
+
+  // Prepare a safe fallback filename (we don't wait for metadata to set a pretty name)
+  const fallbackName = `download-${streamId}`; // safe and unique
+  const extension = audioCodec ? audioCodec.ext : platform.audioOnly ? 'mp3' : 'mp4';
+  const contentType = audioCodec ? audioCodec.mimeType : platform.audioOnly ? 'audio/mpeg' : 'video/mp4';
+
+  const cookieFile = await cookieService.createCookieFile(jar);
+  const session = createSession({
+    key,
+    streamId,
+    contentType,
+    extension,
+    filename: `${fallbackName}.${extension}`,
+    expectedSize: audio || clip ? null : getExpectedStreamSize(await peekStreamInfo(url, jar), streamFormat),
+  });
+
   // create a downloads entry so metadata can be attached later
   downloads.set(streamId, {
     id: streamId,
     url: videoUrl,
     format,
+    audio,
+    clip,
+    apiKeyId,
     status: 'streaming',
+    phase: 'extracting',
     progress: 0,
+    bytesSent: 0,
+    bytesBuffered: 0,
     filePath: null,
     error: null,
     metadata: null, // will be filled asynchronously
+    createdAt: Date.now(),
   });
+  persistJob(streamId);
+
+  // Build args for spawning yt-dlp to stream to stdout
+  const args = [
+    videoUrl,
+    '-f',
+    streamFormat,
+    '-o',
+    '-',
+    '--no-part',
+    '--no-check-certificates',
+    ...PROGRESS_ARGS, // one parseable progress line per update on stderr
+  ];
+
+  if (options.addHeader) {
+    options.addHeader.forEach((hdr) => args.push('--add-header', hdr));
+  }
+  if (cookieFile.path) args.push('--cookies', cookieFile.path);
+  if (options.userAgent) args.push('--user-agent', options.userAgent);
+  if (options.proxy) args.push('--proxy', options.proxy);
+  if (options.referer) args.push('--referer', options.referer);
+  if (options.extractorArgs) {
+    options.extractorArgs.forEach((arg) => args.push('--extractor-args', arg));
+  }
+  if (clip) args.push(...buildClipArgs(clip));
 
-  try {
-    // Build minimal options for the streaming child (do not dumpSingleJson here)
-    const options = buildYtdlOptions(url, {
-      // do not request dumpSingleJson here — that's what caused the delay
-      format: format || (isSoundCloudUrl(videoUrl) ? 'bestaudio[ext=mp3]' : 'best'),
+  // Spawn the streaming process immediately
+  const ytdlProc = spawn(ytdlPath, args, {
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  // In audio mode yt-dlp output goes through ffmpeg, which feeds the buffer
+  let transcoder = null;
+  let ytdlExitCode = null;
+  if (audio) {
+    transcoder = spawn(FFMPEG_PATH, buildTranscodeArgs(audio), {
+      stdio: ['pipe', 'pipe', 'pipe'],
     });
+    ytdlProc.stdout.pipe(transcoder.stdin);
+    // ffmpeg exiting early closes its stdin; yt-dlp's close handler reports the failure
+    transcoder.stdin.on('error', () => {});
+    transcoder.stderr.on('data', (data) => {
+      console.error('[ffmpeg stderr]', data.toString());
+    });
+  }
 
-    // Prepare a safe fallback filename (we don't wait for metadata to set a pretty name)
-    const fallbackName = `download-${streamId}`; // safe and unique
-    const extension = isSoundCloudUrl(videoUrl) ? 'mp3' : 'mp4';
-
-    // Send headers early so frontends and proxies see activity
-    res.setHeader('Content-Type', isSoundCloudUrl(videoUrl) ? 'audio/mpeg' : 'video/mp4');
-    res.setHeader('Content-Disposition', `attachment; filename="${fallbackName}.${extension}"`);
-    res.setHeader('X-Stream-Id', streamId); // optional header for later lookup
-    if (typeof res.setTimeout === 'function') res.setTimeout(0); // disable default timeout if possible
-    if (typeof res.flushHeaders === 'function') res.flushHeaders();
-
-    // Build args for spawning yt-dlp to stream to stdout
-    const args = [
-      videoUrl,
-      '-f',
-      format || (isSoundCloudUrl(videoUrl) ? 'bestaudio[ext=mp3]' : 'best'),
-      '-o',
-      '-',
-      '--no-part',
-      '--no-check-certificates',
-      '--newline', // helps yt-dlp flush progress lines
-    ];
+  // Record progress figures on the streaming entry; log everything else for debugging
+  // and keep yt-dlp's ERROR: lines so a failed stream can be classified
+  const errorLines = [];
+  const parser = createProgressParser({
+    onProgress: (telemetry) => {
+      const entry = downloads.get(streamId);
+      if (entry) Object.assign(entry, telemetry);
+    },
+    onLine: (line) => {
+      console.error('[yt-dlp stderr]', line);
+      if (line.startsWith('ERROR:') && errorLines.length < 20) errorLines.push(line);
+    },
+  });
+  ytdlProc.stderr.on('data', parser.push);
 
-    if (options.addHeader) {
-      options.addHeader.forEach((hdr) => args.push('--add-header', hdr));
+  // Everything the client would receive is tee'd into the session buffer
+  // (differs from downloadedBytes when transcoding)
+  const output = transcoder ? transcoder.stdout : ytdlProc.stdout;
+  output.on('data', (chunk) => {
+    session.append(chunk);
+    const entry = downloads.get(streamId);
+    if (entry) entry.bytesBuffered += chunk.length;
+  });
+
+  const killProcesses = () => {
+    try {
+      if (ytdlProc && !ytdlProc.killed) ytdlProc.kill('SIGTERM');
+      if (transcoder && !transcoder.killed) transcoder.kill('SIGTERM');
+    } catch (e) {}
+  };
+
+  // Nobody came back within STREAM_RESUME_GRACE_SECONDS of the last disconnect,
+  // or the buffer itself could not be written
+  session.events.on('abandon', killProcesses);
+  session.events.on('failed', killProcesses);
+
+  ytdlProc.on('error', (err) => {
+    console.error('Failed to spawn yt-dlp:', err);
+    cookieFile.cleanup();
+    session.fail(createError('Download failed', 500));
+    updateJob(streamId, { status: 'error', error: err.message });
+  });
+
+  const finishStream = (code) => {
+    if (session.error) {
+      if (downloads.get(streamId).status === 'streaming') {
+        updateJob(streamId, { status: 'error', error: session.error.message });
+      }
+      return;
     }
-    if (options.userAgent) args.push('--user-agent', options.userAgent);
-    if (options.proxy) args.push('--proxy', options.proxy);
-    if (options.referer) args.push('--referer', options.referer);
-    if (isInstagramUrl(videoUrl) && process.env.INSTAGRAM_COOKIES) {
-      args.push('--add-header', `cookie: ${process.env.INSTAGRAM_COOKIES}`);
+    if (code === 0) {
+      session.finish();
+      updateJob(streamId, { status: 'completed' });
+      return;
+    }
+    if (session.abandoned) {
+      updateJob(streamId, { status: 'cancelled' });
+      return;
     }
 
-    // Spawn the streaming process immediately
-    const ytdlProc = spawn(ytdlPath, args, {
-      stdio: ['ignore', 'pipe', 'pipe'],
+    const failure = toYtdlError(
+      {
+        message: ytdlExitCode ? `yt-dlp exit code ${ytdlExitCode}` : `${transcoder ? 'ffmpeg' : 'yt-dlp'} exit code ${code}`,
+        stderr: errorLines.join('\n'),
+        exitCode: ytdlExitCode || code,
+      },
+      platform.id
+    );
+    session.fail(failure);
+    updateJob(streamId, {
+      status: 'error',
+      error: failure.message,
+      errorCode: failure.code,
+      retryable: failure.retryable,
+      errorDetail: failure.detail,
     });
+  };
 
-    // Pipe process stdout directly to response so download starts ASAP
-    ytdlProc.stdout.pipe(res);
+  ytdlProc.on('close', (code) => {
+    ytdlExitCode = code;
+    cookieFile.cleanup();
+    if (!transcoder) finishStream(code);
+  });
 
-    // Log stderr for debugging
-    ytdlProc.stderr.on('data', (data) => {
-      console.error('[yt-dlp stderr]', data.toString());
+  if (transcoder) {
+    transcoder.on('error', (err) => {
+      console.error('Failed to spawn ffmpeg:', err);
+      if (!ytdlProc.killed) ytdlProc.kill('SIGTERM');
     });
+    // A failed yt-dlp run still lets ffmpeg exit cleanly on EOF, so check both
+    transcoder.on('close', (code) => finishStream(code === 0 && ytdlExitCode ? ytdlExitCode : code));
+  }
 
-    ytdlProc.on('error', (err) => {
-      console.error('Failed to spawn yt-dlp:', err);
-      // If headers haven't been sent yet, send a 500. Usually headers were flushed.
-      if (!res.headersSent) res.status(500).end('Download failed');
+  // Fire-and-forget metadata fetch: run dumpSingleJson in background and attach to downloads map
+  (async () => {
+    try {
+      // small timeout wrapper — we don't want background metadata fetch to hang forever
+      const metaPromise = fetchInfo(url);
+      const metaTimeoutMs = parseInt(process.env.META_FETCH_TIMEOUT_MS || '15000', 10); // default 15s
+      const metadata = await Promise.race([
+        metaPromise,
+        new Promise((_, rej) => setTimeout(() => rej(new Error('meta timeout')), metaTimeoutMs)),
+      ]);
+
+      // Attach metadata to downloads map (so you can serve it later)
       const entry = downloads.get(streamId);
       if (entry) {
-        entry.status = 'error';
-        entry.error = err.message;
+        entry.metadata = {
+          id: metadata.id || videoUrl,
+          title: metadata.title || null,
+          thumbnail: metadata.thumbnail || null,
+          duration: metadata.duration || null,
+          uploader: metadata.uploader || null,
+          view_count: metadata.view_count || null,
+          filesize: metadata.filesize || metadata.filesize_approx || null,
+          extractor: metadata.extractor_key || null,
+          formats: metadata.formats ? metadata.formats.map((f) => ({ format_id: f.format_id, ext: f.ext, width: f.width, height: f.height, abr: f.abr })) : null,
+        };
+
+        persistJob(streamId);
+
+        // Note: headers cannot be changed after first bytes are sent. We only set a fallback earlier.
+        console.log(`Metadata fetched for stream ${streamId}:`, entry.metadata.title || entry.metadata.id);
       }
-    });
-
-    ytdlProc.on('close', (code) => {
+    } catch (metaErr) {
+      // metadata fetch failed or timed out — that's okay, streaming already started
+      console.warn(`Metadata fetch failed for ${streamId}:`, metaErr && metaErr.message);
       const entry = downloads.get(streamId);
-      if (code === 0) {
-        if (entry) entry.status = 'completed';
-        try {
-          if (!res.writableEnded) res.end();
-        } catch (e) {}
-      } else {
-        // If no bytes were ever written, send a 500 (but most clients will already see a truncated file)
-        if (!res.headersSent) {
-          res.status(500).end('Download failed');
-        } else {
-          try {
-            if (!res.writableEnded) res.end();
-          } catch (e) {}
-        }
-        if (entry) {
-          entry.status = 'error';
-          entry.error = `yt-dlp exit code ${code}`;
-        }
+      if (entry) {
+        entry.metadata = { error: metaErr && metaErr.message };
       }
-    });
+    }
+  })();
 
-    // Kill child when client disconnects
-    res.on('close', () => {
-      try {
-        if (ytdlProc && !ytdlProc.killed) ytdlProc.kill('SIGTERM');
-      } catch (e) {}
-    });
+  return session;
+};
 
-    // Fire-and-forget metadata fetch: run dumpSingleJson in background and attach to downloads map
-    (async () => {
-      try {
-        const metaOptions = buildYtdlOptions(url, {
-          dumpSingleJson: true,
-          skipDownload: true,
-        });
-
-        // small timeout wrapper — we don't want background metadata fetch to hang forever
-        const metaPromise = ytdl(videoUrl, metaOptions);
-        const metaTimeoutMs = parseInt(process.env.META_FETCH_TIMEOUT_MS || '15000', 10); // default 15s
-        const metadata = await Promise.race([
-          metaPromise,
-          new Promise((_, rej) => setTimeout(() => rej(new Error('meta timeout')), metaTimeoutMs)),
-        ]);
-
-        // Attach metadata to downloads map (so you can serve it later)
-        const entry = downloads.get(streamId);
-        if (entry) {
-          entry.metadata = {
-            id: metadata.id || videoUrl,
-            title: metadata.title || null,
-            thumbnail: metadata.thumbnail || null,
-            duration: metadata.duration || null,
-            uploader: metadata.uploader || null,
-            view_count: metadata.view_count || null,
-            filesize: metadata.filesize || metadata.filesize_approx || null,
-            extractor: metadata.extractor_key || null,
-            formats: metadata.formats ? metadata.formats.map((f) => ({ format_id: f.format_id, ext: f.ext, width: f.width, height: f.height, abr: f.abr })) : null,
-          };
+// Concurrent first requests for one key must share a single producer
+const startingSessions = new Map();
+
+const openStreamSession = (url, params) => {
+  const existing = getSession(params.key);
+  if (existing) return existing;
+  if (!startingSessions.has(params.key)) {
+    startingSessions.set(
+      params.key,
+      startStreamSession(url, params).finally(() => startingSessions.delete(params.key))
+    );
+  }
+  return startingSessions.get(params.key);
+};
 
-          // Optionally update Content-Disposition filename if headers haven't been flushed (rare)
-          // Note: headers cannot be changed after first bytes are sent. We only set a fallback earlier.
-          console.log(`Metadata fetched for stream ${streamId}:`, entry.metadata.title || entry.metadata.id);
-        }
-      } catch (metaErr) {
-        // metadata fetch failed or timed out — that's okay, streaming already started
-        console.warn(`Metadata fetch failed for ${streamId}:`, metaErr && metaErr.message);
-        const entry = downloads.get(streamId);
-        if (entry) {
-          entry.metadata = { error: metaErr && metaErr.message };
-        }
-      }
-    })();
+/**
+ * Stream a download to the client while buffering it on disk. Requests for the same URL,
+ * format and cookies share one yt-dlp run, so a client that drops can reconnect with a
+ * Range header and get 206 Partial Content from the buffered bytes.
+ */
+const streamDownload = async (
+  url,
+  format,
+  res,
+  { audio = null, clip = null, filenameTemplate = FILENAME_TEMPLATE, apiKeyId = null, range = null } = {}
+) => {
+  const platform = platformOf(url);
+  const streamFormat = audio
+    ? format && !format.startsWith('audio-') ? format : 'bestaudio/best'
+    : format || platform.defaultFormat || 'best';
+
+  try {
+    // Resolved before any header is sent so a bad or expired profile still gets a JSON error
+    const jar = await cookieService.resolveCookieJar(url);
+    if (clip) clip = await prepareClip(url, clip);
+    const key = sessionKey([
+      normalizeUrl(getVideoUrl(url)),
+      streamFormat,
+      audio ? [audio.codec, audio.bitrate] : null,
+      clip ? [clip.start, clip.end, clip.exactCuts] : null,
+      jar ? jar.identity : null,
+    ]);
+
+    const session = await openStreamSession(url, { key, format, streamFormat, audio, clip, jar, apiKeyId });
+
+    await serveSession(session, range, res, {
+      filename: await resolveStreamFilename(url, session, jar, filenameTemplate),
+      onBytes: (bytes) => {
+        const entry = downloads.get(session.streamId);
+        if (entry) entry.bytesSent += bytes;
+        streamedBytes.inc({ platform: platform.id }, bytes);
+      },
+    });
   } catch (err) {
     // If an exception occurs before streaming starts
     console.error('Streaming error:', err);
-    const entry = downloads.get(streamId);
-    if (entry) {
-      entry.status = 'error';
-      entry.error = err.message;
-    }
+    const failure = toYtdlError(err, platform.id);
     if (!res.headersSent) {
-      if (err.message && (err.message.includes('login required') || err.message.includes('rate-limit reached'))) {
-        res.status(401).json({
-          error: isSoundCloudUrl(videoUrl) ? 'SoundCloud authentication may be required' : 'Instagram authentication required',
-        });
-      } else {
-        res.status(500).json({ error: err.message || 'Stream failed' });
-      }
+      sendError(res, failure);
     } else {
       try {
         if (!res.writableEnded) res.end();
@@ -654,12 +1532,29 @@ const streamDownload = async (url, format, res) => {
 };
 
 module.exports = {
+  assertJobAccess,
+  buildYtdlOptions,
+  withRequestCookies,
+  fetchInfo,
   getFormats,
   getVideoPreview,
   getStreamUrl,
   startDownload,
   setupProgressStream,
   getDownloadStatus,
-  scheduleFileDeletion,
+  getServedFilename,
+  listSavedDownloads,
+  getFileExpiresAt,
+  deleteSavedDownload,
+  countActiveDownloads,
+  startRetentionSweeper,
+  pruneJobHistory,
+  startHistoryPruning,
   streamDownload,
+  restoreJobs,
+  expandPlaylist,
+  jobEvents,
+  cancelDownload,
+  pauseDownload,
+  resumeDownload,
 };
\ No newline at end of file
@@ -0,0 +1,73 @@
+// services/infoService.js - Shared, cached yt-dlp metadata extraction
+const crypto = require('crypto');
+const ytdl = require('yt-dlp-exec');
+const { getCache, setCache } = require('../utils/cache');
+const { INFO_CACHE_TTL_SECONDS } = require('../utils/config');
+const { normalizeUrl } = require('../utils/canonicalUrl');
+const { detectPlatform } = require('../utils/platforms');
+const { toYtdlError } = require('../utils/errors');
+const { createCounter, createHistogram, startTimer } = require('../utils/metrics');
+
+const inFlight = new Map();
+
+const extractionDuration = createHistogram(
+  'extraction_duration_seconds',
+  'yt-dlp metadata extractions by platform and outcome; cache hits are not counted.',
+  [0.5, 1, 2, 5, 10, 20, 30, 60, 120]
+);
+const extractionFailures = createCounter('extraction_failures_total', 'Failed metadata extractions by platform and error code.');
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex').slice(0, 16);
+
+// Cookies and proxy change what an extractor can see, so they are part of the cache key.
+// Cookie files are per request, so callers pass a stable cookie identity instead.
+const getIdentity = (options, cookieIdentity) => {
+  const parts = [cookieIdentity || '', options.proxy || ''].filter(Boolean);
+  return parts.length ? hash(parts.join('\n')) : 'anonymous';
+};
+
+const getCacheKey = (videoUrl, options, cookieIdentity) =>
+  `info:${hash(normalizeUrl(videoUrl))}:${getIdentity(options, cookieIdentity)}`;
+
+/**
+ * Run (or reuse) a dumpSingleJson extraction. Results are cached per URL and cookie
+ * identity for INFO_CACHE_TTL_SECONDS, and concurrent callers asking for the same
+ * key share one yt-dlp process.
+ */
+const getInfo = async (videoUrl, options, { fresh = false, cookieIdentity = null } = {}) => {
+  const key = getCacheKey(videoUrl, options, cookieIdentity);
+
+  if (!fresh) {
+    const cached = await getCache(key);
+    if (cached) return cached;
+  }
+
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const platform = detectPlatform(videoUrl).id;
+  const elapsed = startTimer();
+  const pending = ytdl(videoUrl, { ...options, dumpSingleJson: true, skipDownload: true })
+    .then(async (info) => {
+      extractionDuration.observe({ platform, outcome: 'success' }, elapsed());
+      await setCache(key, info, INFO_CACHE_TTL_SECONDS);
+      return info;
+    })
+    .catch((error) => {
+      extractionDuration.observe({ platform, outcome: 'failure' }, elapsed());
+      extractionFailures.inc({ platform, code: toYtdlError(error, platform).code });
+      throw error;
+    })
+    .finally(() => inFlight.delete(key));
+
+  inFlight.set(key, pending);
+  return pending;
+};
+
+// Cached metadata only; never starts an extraction
+const peekInfo = async (videoUrl, options, cookieIdentity = null) =>
+  (await getCache(getCacheKey(videoUrl, options, cookieIdentity))) || null;
+
+module.exports = {
+  getInfo,
+  peekInfo,
+};
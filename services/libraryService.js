@@ -0,0 +1,99 @@
+// services/libraryService.js - Browsable listing of saved downloads
+const path = require('path');
+const downloadService = require('./downloadService');
+const { buildThumbnailProxyUrl } = require('../utils/helpers');
+const { getPlatform } = require('../utils/platforms');
+const { canAccess } = require('../utils/auth');
+
+const MEDIA_TYPES = {
+  audio: ['mp3', 'm4a', 'opus', 'ogg', 'wav', 'aac', 'flac'],
+  image: ['jpg', 'jpeg', 'png', 'webp', 'heic'],
+};
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+const getMediaType = (ext) => Object.keys(MEDIA_TYPES).find((type) => MEDIA_TYPES[type].includes(ext)) || 'video';
+
+const parseInteger = (value, fallback, name, min, max) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw badRequest(`${name} must be an integer from ${min} to ${max}`);
+  }
+  return number;
+};
+
+// Keys see the files they saved; admin keys see every file on the server
+const isVisibleTo = (job, apiKey) => canAccess(apiKey, job.apiKeyId);
+
+const toLibraryItem = (job) => {
+  const metadata = job.metadata || {};
+  const ext = path.extname(job.filePath).slice(1).toLowerCase();
+  const expiresAt = downloadService.getFileExpiresAt(job.filePath);
+
+  return {
+    id: job.id,
+    title: metadata.title || null,
+    uploader: metadata.uploader || null,
+    platform: job.platform,
+    platformName: getPlatform(job.platform).name,
+    mediaType: getMediaType(ext),
+    ext,
+    duration: metadata.duration || null,
+    size: job.fileSize || null,
+    thumbnail: metadata.thumbnail || null,
+    proxiedThumbnail: buildThumbnailProxyUrl(metadata.thumbnail, job.platform),
+    sourceUrl: metadata.webpageUrl || job.url,
+    filename: job.filename || null,
+    downloadUrl: `/downloads/${path.basename(job.filePath)}`,
+    savedAt: job.completedAt ? new Date(job.completedAt).toISOString() : null,
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+  };
+};
+
+/**
+ * Saved files visible to a key, newest first. Filters: platform (registry id) and
+ * type (video, audio or image); paged with limit / offset.
+ */
+const listLibrary = (apiKey, { platform, type, limit, offset } = {}) => {
+  if (type !== undefined && !['video', 'audio', 'image'].includes(type)) {
+    throw badRequest('type must be video, audio or image');
+  }
+  const pageSize = parseInteger(limit, DEFAULT_PAGE_SIZE, 'limit', 1, MAX_PAGE_SIZE);
+  const start = parseInteger(offset, 0, 'offset', 0, Number.MAX_SAFE_INTEGER);
+
+  // A file reused by several of the key's jobs is listed once, under its latest job
+  const seen = new Set();
+  const items = downloadService
+    .listSavedDownloads()
+    .filter((job) => isVisibleTo(job, apiKey))
+    .sort((a, b) => (b.completedAt || 0) - (a.completedAt || 0))
+    .filter((job) => !seen.has(job.filePath) && seen.add(job.filePath))
+    .map(toLibraryItem)
+    .filter((item) => (!platform || item.platform === platform) && (!type || item.mediaType === type));
+
+  return {
+    items: items.slice(start, start + pageSize),
+    total: items.length,
+    limit: pageSize,
+    offset: start,
+  };
+};
+
+// Remove an item for this key: every job of the key pointing at the file is dropped, and
+// the file itself goes once no other key's job still uses it
+const deleteLibraryItem = (apiKey, id) => {
+  const saved = downloadService.listSavedDownloads().filter((job) => isVisibleTo(job, apiKey));
+  const item = saved.find((job) => job.id === id);
+  if (!item) throw Object.assign(new Error('Saved file not found'), { status: 404 });
+
+  saved.filter((job) => job.filePath === item.filePath).forEach((job) => downloadService.deleteSavedDownload(job.id));
+  return { id, status: 'deleted' };
+};
+
+module.exports = {
+  listLibrary,
+  deleteLibraryItem,
+};
@@ -0,0 +1,158 @@
+// services/retentionService.js - Download directory retention sweeps and free-space checks
+const fs = require('fs');
+const path = require('path');
+const {
+  DOWNLOAD_DIR,
+  FILE_RETENTION_MINUTES,
+  DOWNLOAD_DIR_MAX_BYTES,
+  MIN_FREE_DISK_BYTES,
+  RETENTION_SWEEP_INTERVAL_SECONDS,
+} = require('../utils/config');
+const { ERROR_TYPES } = require('../utils/errors');
+const { createGauge } = require('../utils/metrics');
+
+// Leftovers of unfinished yt-dlp runs: <id>.mp4.part, <id>.f137.mp4.part-Frag12, <id>.mp4.ytdl, <id>.temp.mp4
+const FRAGMENT_PATTERN = /\.(part(-Frag\d+)?|ytdl)$|\.temp\.[^.]+$/;
+
+let sweeping = null;
+let sweepTimer = null;
+
+// Hooks provided by downloadService: whether a job still owns its files (queued, running
+// or resumable), when a job last completed with a file, and a notification once a
+// finished file is removed
+let hooks = { isInUse: () => false, lastUsedAt: () => null, onDeleted: () => {} };
+
+const listFiles = async () => {
+  const names = await fs.promises.readdir(DOWNLOAD_DIR).catch(() => []);
+  const files = await Promise.all(
+    names.map(async (name) => {
+      const filePath = path.join(DOWNLOAD_DIR, name);
+      const stats = await fs.promises.stat(filePath).catch(() => null);
+      if (!stats || !stats.isFile()) return null;
+      const id = name.split('.')[0];
+      return {
+        name,
+        filePath,
+        id,
+        size: stats.size,
+        usedAt: Math.max(stats.mtimeMs, hooks.lastUsedAt(id) || 0),
+        fragment: FRAGMENT_PATTERN.test(name),
+      };
+    })
+  );
+  return files.filter(Boolean);
+};
+
+const removeFile = async (file, reason) => {
+  try {
+    await fs.promises.unlink(file.filePath);
+    console.log(`Deleted file (${reason}): ${file.name}`);
+    if (!file.fragment) hooks.onDeleted(file.filePath);
+    return true;
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('File deletion error:', error.message);
+    return false;
+  }
+};
+
+/**
+ * One pass over DOWNLOAD_DIR: delete orphaned fragments, files last used more than
+ * FILE_RETENTION_MINUTES ago and, while the directory is over DOWNLOAD_DIR_MAX_BYTES,
+ * the least recently used files. Files of jobs that can still resume are never touched.
+ */
+const runSweep = async () => {
+  const cutoff = Date.now() - FILE_RETENTION_MINUTES * 60 * 1000;
+  const removed = { fragments: 0, expired: 0, evicted: 0 };
+  const kept = [];
+
+  for (const file of await listFiles()) {
+    if (hooks.isInUse(file.id)) {
+      kept.push(file);
+    } else if (file.fragment) {
+      if (await removeFile(file, 'orphaned fragment')) removed.fragments += 1;
+    } else if (file.usedAt < cutoff) {
+      if (await removeFile(file, 'retention')) removed.expired += 1;
+    } else {
+      kept.push(file);
+    }
+  }
+
+  if (DOWNLOAD_DIR_MAX_BYTES > 0) {
+    let total = kept.reduce((sum, file) => sum + file.size, 0);
+    const evictable = kept.filter((file) => !hooks.isInUse(file.id)).sort((a, b) => a.usedAt - b.usedAt);
+    for (const file of evictable) {
+      if (total <= DOWNLOAD_DIR_MAX_BYTES) break;
+      if (await removeFile(file, 'size limit')) {
+        total -= file.size;
+        removed.evicted += 1;
+      }
+    }
+  }
+
+  return removed;
+};
+
+// Concurrent callers share the sweep in progress
+const sweep = () => {
+  if (!sweeping) {
+    sweeping = runSweep()
+      .catch((error) => {
+        console.error('Retention sweep error:', error.message);
+        return { fragments: 0, expired: 0, evicted: 0 };
+      })
+      .finally(() => {
+        sweeping = null;
+      });
+  }
+  return sweeping;
+};
+
+const getFreeBytes = async (dir) => {
+  const stats = await fs.promises.statfs(dir);
+  return stats.bavail * stats.bsize;
+};
+
+/**
+ * Refuse new work with an INSUFFICIENT_STORAGE error (507) when `dir` has less than
+ * MIN_FREE_DISK_BYTES free, after a sweep has had the chance to make room.
+ */
+const ensureFreeSpace = async (dir = DOWNLOAD_DIR) => {
+  if (!(MIN_FREE_DISK_BYTES > 0)) return;
+
+  let free = await getFreeBytes(dir);
+  if (free >= MIN_FREE_DISK_BYTES) return;
+
+  await sweep();
+  free = await getFreeBytes(dir);
+  if (free >= MIN_FREE_DISK_BYTES) return;
+
+  const type = ERROR_TYPES.INSUFFICIENT_STORAGE;
+  throw Object.assign(new Error(type.message), {
+    code: 'INSUFFICIENT_STORAGE',
+    status: type.status,
+    retryable: type.retryable,
+    detail: `${Math.round(free / 1024 ** 2)} MiB free, ${Math.round(MIN_FREE_DISK_BYTES / 1024 ** 2)} MiB required`,
+  });
+};
+
+createGauge('download_dir_bytes', 'Total size of the files in DOWNLOAD_DIR, fragments included.', async () =>
+  (await listFiles()).reduce((sum, file) => sum + file.size, 0)
+);
+createGauge('download_dir_files', 'Number of files in DOWNLOAD_DIR.', async () => (await listFiles()).length);
+createGauge('download_dir_free_bytes', 'Free space on the file system holding DOWNLOAD_DIR.', () => getFreeBytes(DOWNLOAD_DIR));
+
+// Start the periodic sweep; runs once right away so files left from before a restart go too
+const startSweeper = (sweeperHooks) => {
+  hooks = { ...hooks, ...sweeperHooks };
+  if (sweepTimer) return;
+  sweep();
+  sweepTimer = setInterval(sweep, RETENTION_SWEEP_INTERVAL_SECONDS * 1000);
+  sweepTimer.unref();
+};
+
+module.exports = {
+  FRAGMENT_PATTERN,
+  sweep,
+  ensureFreeSpace,
+  startSweeper,
+};
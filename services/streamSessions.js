@@ -0,0 +1,252 @@
+// services/streamSessions.js - Disk-buffered stream-download sessions with Range support
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { STREAM_BUFFER_DIR, STREAM_RESUME_GRACE_SECONDS, STREAM_BUFFER_TTL_MINUTES } = require('../utils/config');
+const { sendError } = require('../utils/errors');
+const { contentDisposition } = require('../utils/filenames');
+
+const READ_CHUNK_BYTES = 256 * 1024;
+
+const sessions = new Map();
+
+fs.mkdirSync(STREAM_BUFFER_DIR, { recursive: true });
+
+// Buffers left behind by a previous run can never be resumed; call once at startup.
+// Only the .buf files sessions write are removed, whatever else shares the directory.
+const removeStaleBuffers = () => {
+  fs.readdirSync(STREAM_BUFFER_DIR)
+    .filter((file) => file.endsWith('.buf'))
+    .forEach((file) => fs.rmSync(path.join(STREAM_BUFFER_DIR, file), { force: true }));
+};
+
+const sessionKey = (parts) => crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+
+const getSession = (key) => sessions.get(key) || null;
+
+const discard = (session) => {
+  clearTimeout(session.timer);
+  if (sessions.get(session.key) === session) sessions.delete(session.key);
+  session.writer.destroy();
+  fs.promises.unlink(session.filePath).catch(() => {});
+};
+
+// Runs when the last reader leaves: an unfinished producer gets a grace period to be
+// resumed before it is abandoned, a finished buffer is kept for STREAM_BUFFER_TTL_MINUTES
+const scheduleExpiry = (session) => {
+  clearTimeout(session.timer);
+  if (session.readers > 0) return;
+
+  const delayMs = session.complete ? STREAM_BUFFER_TTL_MINUTES * 60 * 1000 : STREAM_RESUME_GRACE_SECONDS * 1000;
+  session.timer = setTimeout(() => {
+    if (session.readers > 0) return;
+    if (!session.complete && !session.error) {
+      session.abandoned = true;
+      session.events.emit('abandon');
+    }
+    discard(session);
+  }, delayMs);
+  session.timer.unref();
+};
+
+/**
+ * Create a session whose producer appends to a buffer file. The producer calls
+ * append(chunk) for output, then finish() or fail(error); it should stop its
+ * processes on the 'abandon' and 'failed' events of session.events.
+ */
+const createSession = ({ key, streamId, contentType, extension, filename, expectedSize = null }) => {
+  const filePath = path.join(STREAM_BUFFER_DIR, `${streamId}.buf`);
+  const session = {
+    key,
+    streamId,
+    contentType,
+    extension,
+    filename,
+    expectedSize,
+    filePath,
+    writer: fs.createWriteStream(filePath),
+    bytesWritten: 0,
+    complete: false,
+    abandoned: false,
+    error: null,
+    readers: 0,
+    timer: null,
+    events: new EventEmitter(),
+  };
+  session.events.setMaxListeners(0);
+  session.writer.on('error', (error) => {
+    if (!session.error) session.fail(error);
+  });
+
+  // Bytes count as buffered once they are on disk, so readers never read past the file end
+  session.append = (chunk) => {
+    if (session.error || session.abandoned) return;
+    session.writer.write(chunk, () => {
+      session.bytesWritten += chunk.length;
+      session.events.emit('grow');
+    });
+  };
+  session.finish = () => {
+    session.writer.end(() => {
+      session.complete = true;
+      session.events.emit('grow');
+      scheduleExpiry(session);
+    });
+  };
+  session.fail = (error) => {
+    session.error = error;
+    session.events.emit('grow');
+    session.events.emit('failed', error);
+    discard(session);
+  };
+
+  sessions.set(key, session);
+  scheduleExpiry(session);
+  return session;
+};
+
+// Resolves once the buffer holds more than `position` bytes, or it is finished or failed
+const waitForBytes = (session, position) =>
+  new Promise((resolve) => {
+    const check = () => {
+      if (session.bytesWritten > position || session.complete || session.error || session.abandoned) {
+        session.events.off('grow', check);
+        resolve();
+      }
+    };
+    session.events.on('grow', check);
+    check();
+  });
+
+// Write with backpressure; resolves false once the client has gone away
+const writeChunk = (res, chunk) =>
+  new Promise((resolve) => {
+    if (res.destroyed) return resolve(false);
+    if (res.write(chunk)) return resolve(true);
+    const done = (ok) => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+      resolve(ok);
+    };
+    const onDrain = () => done(true);
+    const onClose = () => done(false);
+    res.on('drain', onDrain);
+    res.on('close', onClose);
+  });
+
+// Copy [start, end] (inclusive; end null = until the producer finishes) from the buffer,
+// following the file while the producer is still writing
+const pump = async (session, res, start, end, onBytes) => {
+  // The buffer file only exists for certain once its first bytes are written
+  await waitForBytes(session, start);
+  if (start >= session.bytesWritten) return;
+
+  const handle = await fs.promises.open(session.filePath, 'r');
+  let position = start;
+  try {
+    while (end === null || position <= end) {
+      if (position >= session.bytesWritten) {
+        if (session.complete || session.error || session.abandoned) break;
+        await waitForBytes(session, position);
+        continue;
+      }
+
+      const available = session.bytesWritten - position;
+      const wanted = end === null ? available : Math.min(available, end - position + 1);
+      const buffer = Buffer.alloc(Math.min(wanted, READ_CHUNK_BYTES));
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, position);
+      if (bytesRead === 0) break;
+
+      position += bytesRead;
+      onBytes(bytesRead);
+      if (!(await writeChunk(res, buffer.subarray(0, bytesRead)))) break;
+    }
+  } finally {
+    await handle.close();
+  }
+};
+
+// Single "bytes=start-end" or "bytes=-suffix" range; anything else is served in full
+const parseRange = (header) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+  if (match[1] === '') return { suffix: parseInt(match[2], 10) };
+  return { start: parseInt(match[1], 10), end: match[2] === '' ? null : parseInt(match[2], 10) };
+};
+
+const totalSize = (session) => (session.complete ? session.bytesWritten : session.expectedSize);
+
+/**
+ * Answer a GET from the session buffer: 200 for the whole stream, 206 for a Range.
+ * Content-Length is sent whenever the final size is known; while it is not, a range
+ * is answered with the bytes buffered so far ("bytes start-end/*") and the client
+ * asks again for the rest. `filename` overrides the session's fallback name.
+ */
+const serveSession = async (session, rangeHeader, res, { filename = session.filename, onBytes = () => {} } = {}) => {
+  session.readers += 1;
+  clearTimeout(session.timer);
+  res.on('close', () => {
+    session.readers -= 1;
+    scheduleExpiry(session);
+  });
+
+  res.setHeader('Content-Type', session.contentType);
+  res.setHeader('Content-Disposition', contentDisposition(filename));
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('X-Stream-Id', session.streamId);
+  if (typeof res.setTimeout === 'function') res.setTimeout(0);
+
+  let range = parseRange(rangeHeader);
+  if (range && range.suffix !== undefined) {
+    const total = totalSize(session);
+    range = total === null ? null : { start: Math.max(0, total - range.suffix), end: total - 1 };
+  }
+
+  let start = 0;
+  let end = null;
+
+  if (range) {
+    start = range.start;
+    if (totalSize(session) === null) await waitForBytes(session, start);
+
+    if (session.error && !res.headersSent) return sendError(res, session.error, 502);
+
+    const total = totalSize(session);
+    const known = total !== null;
+    const available = known ? total : session.bytesWritten;
+    if (start >= available || (range.end !== null && range.end < start)) {
+      res.setHeader('Content-Range', `bytes */${known ? total : '*'}`);
+      return res.status(416).end();
+    }
+
+    end = Math.min(range.end === null ? Infinity : range.end, available - 1);
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${known ? total : '*'}`);
+    res.setHeader('Content-Length', end - start + 1);
+  } else {
+    const total = totalSize(session);
+    if (total !== null) {
+      end = total - 1;
+      res.setHeader('Content-Length', total);
+    }
+    res.status(200);
+  }
+
+  if (typeof res.flushHeaders === 'function') res.flushHeaders();
+
+  try {
+    await pump(session, res, start, end, onBytes);
+  } catch (error) {
+    console.error(`Stream buffer read error for ${session.streamId}:`, error.message);
+  }
+  if (!res.writableEnded) res.end();
+};
+
+module.exports = {
+  removeStaleBuffers,
+  sessionKey,
+  getSession,
+  createSession,
+  serveSession,
+};
@@ -0,0 +1,95 @@
+// services/subtitleService.js - List and fetch subtitle / caption tracks
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ytdl = require('yt-dlp-exec');
+const { withRequestCookies, fetchInfo } = require('./downloadService');
+const { SUBTITLE_FORMATS, LANGUAGE_PATTERN, subtitlesToText } = require('../utils/subtitles');
+const { detectPlatform } = require('../utils/platforms');
+const { toYtdlError } = require('../utils/errors');
+
+const CONTENT_TYPES = {
+  srt: 'application/x-subrip; charset=utf-8',
+  vtt: 'text/vtt; charset=utf-8',
+  txt: 'text/plain; charset=utf-8',
+};
+
+const getVideoUrl = (input) => (typeof input === 'string' ? input : input.url);
+
+const describeTracks = (tracks = {}, automatic) =>
+  Object.entries(tracks)
+    // YouTube lists live chat replays as a pseudo subtitle track
+    .filter(([language]) => language !== 'live_chat')
+    .map(([language, formats]) => ({
+      language,
+      name: (formats.find((f) => f.name) || {}).name || language,
+      automatic,
+      formats: [...new Set(formats.map((f) => f.ext).filter(Boolean))],
+    }));
+
+const listSubtitles = async (input) => {
+  try {
+    const info = await fetchInfo(input);
+
+    return {
+      id: info.id || null,
+      title: info.title || null,
+      subtitles: [
+        ...describeTracks(info.subtitles, false),
+        ...describeTracks(info.automatic_captions, true),
+      ],
+    };
+  } catch (error) {
+    throw toYtdlError(error, detectPlatform(getVideoUrl(input)).id);
+  }
+};
+
+/**
+ * Fetch one subtitle track as SRT, VTT or a plain-text transcript.
+ * yt-dlp writes into a private temp directory that is removed afterwards.
+ */
+const downloadSubtitle = async (input, { language, format = 'srt', automatic = false }) => {
+  if (!LANGUAGE_PATTERN.test(language || '')) {
+    throw Object.assign(new Error('A valid lang is required'), { status: 400 });
+  }
+  if (!SUBTITLE_FORMATS.includes(format)) {
+    throw Object.assign(new Error(`format must be one of: ${SUBTITLE_FORMATS.join(', ')}`), { status: 400 });
+  }
+
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'viewgo-subs-'));
+
+  try {
+    await withRequestCookies(input, (options) => ytdl(getVideoUrl(input), options), {
+      skipDownload: true,
+      noPlaylist: true,
+      [automatic ? 'writeAutoSubs' : 'writeSubs']: true,
+      subLangs: language,
+      convertSubs: format === 'srt' ? 'srt' : 'vtt',
+      output: path.join(workDir, 'subtitle.%(ext)s'),
+    }).catch((error) => {
+      throw toYtdlError(error, detectPlatform(getVideoUrl(input)).id);
+    });
+
+    const files = await fs.promises.readdir(workDir);
+    const file = files.find((f) => f.startsWith(`subtitle.${language}.`));
+    if (!file) {
+      throw Object.assign(new Error(`No ${automatic ? 'automatic' : 'manual'} subtitles for language ${language}`), {
+        status: 404,
+      });
+    }
+
+    const content = await fs.promises.readFile(path.join(workDir, file), 'utf8');
+    return {
+      content: format === 'txt' ? subtitlesToText(content) : content,
+      contentType: CONTENT_TYPES[format],
+      extension: format,
+    };
+  } finally {
+    fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+};
+
+module.exports = {
+  listSubtitles,
+  downloadSubtitle,
+};
@@ -0,0 +1,192 @@
+// services/thumbnailService.js - Thumbnail proxy with disk cache and resized variants
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const sharp = require('sharp');
+const { DATA_DIR, THUMBNAIL_CACHE_TTL_HOURS } = require('../utils/config');
+const { getPlatform } = require('../utils/platforms');
+const { resolvePublicAddresses, publicLookup } = require('../utils/network');
+
+const CACHE_DIR = path.join(DATA_DIR, 'thumbnails');
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+// Requested widths snap up to one of these so the cache holds a bounded set of variants
+const VARIANT_WIDTHS = [120, 240, 320, 480, 640, 960, 1280];
+
+const inFlight = new Map();
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// The host must resolve to public addresses only; fetchImage checks them again when connecting.
+// A failed lookup is left to the fetch, so a cached copy can still be served.
+const validateImageUrl = async (imageUrl) => {
+  let parsed;
+  try {
+    parsed = new URL(imageUrl);
+  } catch (error) {
+    throw badRequest('Invalid thumbnail URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) throw badRequest('Thumbnail URL is not allowed');
+  try {
+    await resolvePublicAddresses(parsed.hostname);
+  } catch (error) {
+    if (error.status === 400) throw badRequest('Thumbnail URL is not allowed');
+  }
+  return parsed.toString();
+};
+
+const snapWidth = (width) => {
+  if (!width) return null;
+  const requested = parseInt(width, 10);
+  if (Number.isNaN(requested) || requested <= 0) throw badRequest('w must be a positive integer');
+  return VARIANT_WIDTHS.find((w) => w >= requested) || VARIANT_WIDTHS[VARIANT_WIDTHS.length - 1];
+};
+
+const cachePaths = (imageUrl) => {
+  const key = crypto.createHash('sha1').update(imageUrl).digest('hex');
+  return {
+    original: path.join(CACHE_DIR, `${key}.orig`),
+    meta: path.join(CACHE_DIR, `${key}.json`),
+    variant: (width) => path.join(CACHE_DIR, `${key}-${width}.jpg`),
+  };
+};
+
+const isFresh = async (filePath) => {
+  try {
+    const stats = await fs.promises.stat(filePath);
+    return Date.now() - stats.mtimeMs < THUMBNAIL_CACHE_TTL_HOURS * 60 * 60 * 1000;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Fetch with the platform's user agent and referer; CDNs like Instagram's refuse bare hotlinks.
+// Redirects are not followed, since their targets would skip the address check.
+const fetchImage = async (imageUrl, platform) => {
+  const config = getPlatform(platform);
+  const response = await axios.get(imageUrl, {
+    responseType: 'arraybuffer',
+    timeout: 15000,
+    maxContentLength: MAX_IMAGE_BYTES,
+    maxRedirects: 0,
+    lookup: publicLookup,
+    headers: {
+      'User-Agent': config.userAgent,
+      ...(config.referer ? { Referer: config.referer } : {}),
+      Accept: 'image/avif,image/webp,image/*,*/*;q=0.8',
+    },
+  });
+
+  const contentType = String(response.headers['content-type'] || '').split(';')[0];
+  if (!contentType.startsWith('image/')) {
+    throw Object.assign(new Error('Thumbnail URL did not return an image'), { status: 502 });
+  }
+  return { data: Buffer.from(response.data), contentType };
+};
+
+// Content type recorded next to a cached original; null when the file is missing or unreadable
+const readMeta = async (metaPath) => {
+  try {
+    const meta = JSON.parse(await fs.promises.readFile(metaPath, 'utf8'));
+    return meta && typeof meta.contentType === 'string' ? meta : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Original image from cache, refreshed once stale. A failed refresh falls back to the
+// stale copy, which keeps thumbnails working after the CDN URL has expired.
+const getOriginal = async (imageUrl, platform) => {
+  const paths = cachePaths(imageUrl);
+
+  // A cached original without readable metadata counts as a miss
+  const cached = (await isFresh(paths.original)) && (await readMeta(paths.meta));
+  if (cached) return { path: paths.original, contentType: cached.contentType };
+
+  if (!inFlight.has(imageUrl)) {
+    const pending = (async () => {
+      try {
+        const image = await fetchImage(imageUrl, platform);
+        await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+        await fs.promises.writeFile(paths.original, image.data);
+        await fs.promises.writeFile(paths.meta, JSON.stringify({ url: imageUrl, contentType: image.contentType }));
+        return { path: paths.original, contentType: image.contentType };
+      } catch (error) {
+        const stale = fs.existsSync(paths.original) && (await readMeta(paths.meta));
+        if (stale) return { path: paths.original, contentType: stale.contentType };
+        throw Object.assign(new Error('Failed to fetch thumbnail: ' + error.message), { status: error.status || 502 });
+      } finally {
+        inFlight.delete(imageUrl);
+      }
+    })();
+    inFlight.set(imageUrl, pending);
+  }
+
+  return inFlight.get(imageUrl);
+};
+
+// A variant is rebuilt when missing or older than the original it was made from
+const isVariantStale = async (variantPath, originalPath) => {
+  try {
+    const [variant, original] = await Promise.all([fs.promises.stat(variantPath), fs.promises.stat(originalPath)]);
+    return variant.mtimeMs < original.mtimeMs;
+  } catch (error) {
+    return true;
+  }
+};
+
+/**
+ * Resolve a thumbnail to a cached file, resized to the nearest variant width when w is given.
+ * Returns { path, contentType }.
+ */
+const getThumbnail = async ({ url, width, platform }) => {
+  const imageUrl = await validateImageUrl(url);
+  const variantWidth = snapWidth(width);
+  const original = await getOriginal(imageUrl, platform || 'default');
+
+  if (!variantWidth) return original;
+
+  const variantPath = cachePaths(imageUrl).variant(variantWidth);
+  if (await isVariantStale(variantPath, original.path)) {
+    try {
+      await sharp(original.path)
+        .resize({ width: variantWidth, withoutEnlargement: true })
+        .jpeg({ quality: 80 })
+        .toFile(variantPath);
+    } catch (error) {
+      // Formats sharp cannot decode are served as-is
+      console.warn('Thumbnail resize failed:', error.message);
+      return original;
+    }
+  }
+
+  return { path: variantPath, contentType: 'image/jpeg' };
+};
+
+// Drop cache files that have not been refreshed in twice the TTL
+const pruneThumbnailCache = async () => {
+  const cutoff = Date.now() - 2 * THUMBNAIL_CACHE_TTL_HOURS * 60 * 60 * 1000;
+  let files = [];
+  try {
+    files = await fs.promises.readdir(CACHE_DIR);
+  } catch (error) {
+    return;
+  }
+
+  for (const file of files) {
+    const filePath = path.join(CACHE_DIR, file);
+    try {
+      const stats = await fs.promises.stat(filePath);
+      if (stats.mtimeMs < cutoff) await fs.promises.unlink(filePath);
+    } catch (error) {
+      console.error('Thumbnail cache cleanup error:', error.message);
+    }
+  }
+};
+
+setInterval(pruneThumbnailCache, 60 * 60 * 1000).unref();
+
+module.exports = {
+  getThumbnail,
+  pruneThumbnailCache,
+};
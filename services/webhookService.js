@@ -0,0 +1,102 @@
+// services/webhookService.js - Signed callbacks when background downloads finish
+const crypto = require('crypto');
+const path = require('path');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const {
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_RETRY_BASE_MS,
+  WEBHOOK_TIMEOUT_MS,
+  ALLOW_PRIVATE_CALLBACKS,
+} = require('../utils/config');
+const { publicLookup } = require('../utils/network');
+
+// Job statuses that trigger a callback, mapped to the event name sent
+const WEBHOOK_EVENTS = {
+  completed: 'download.completed',
+  error: 'download.failed',
+  cancelled: 'download.cancelled',
+};
+
+/**
+ * Signature over "<timestamp>.<body>" so receivers can reject replays:
+ * X-ViewGo-Signature: sha256=<hex hmac>
+ */
+const signPayload = (secret, timestamp, body) =>
+  'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const buildPayload = (job, event) => ({
+  event,
+  id: job.id,
+  status: job.status,
+  url: job.url,
+  format: job.format || null,
+  downloadUrl: job.filePath ? `/downloads/${path.basename(job.filePath)}` : null,
+  fileSize: job.fileSize || null,
+  metadata: job.metadata || null,
+  error: job.error || null,
+  errorCode: job.errorCode || null,
+  timestamp: new Date().toISOString(),
+});
+
+// Exponential backoff with jitter: base, 2x base, 4x base, ...
+const retryDelay = (attempt) => WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1) * (0.75 + Math.random() * 0.5);
+
+/**
+ * POST the job's final state to its callback URL, retrying failed deliveries.
+ * Every attempt is reported through onAttempt so the job keeps a delivery log.
+ */
+const deliver = async (job, event, onAttempt) => {
+  const deliveryId = uuidv4();
+  const body = JSON.stringify(buildPayload(job, event));
+
+  for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'ViewGo-Webhook/1.0',
+      'X-ViewGo-Event': event,
+      'X-ViewGo-Delivery': deliveryId,
+      'X-ViewGo-Timestamp': timestamp,
+    };
+    if (job.callbackSecret) {
+      headers['X-ViewGo-Signature'] = signPayload(job.callbackSecret, timestamp, body);
+    }
+
+    const startedAt = Date.now();
+    const record = { deliveryId, event, attempt, statusCode: null, success: false, error: null, at: startedAt };
+
+    try {
+      const response = await axios.post(job.callbackUrl, body, {
+        headers,
+        timeout: WEBHOOK_TIMEOUT_MS,
+        maxRedirects: 0,
+        // The receiver's address is checked again on delivery, in case its DNS changed
+        lookup: ALLOW_PRIVATE_CALLBACKS ? undefined : publicLookup,
+        validateStatus: () => true,
+      });
+      record.statusCode = response.status;
+      record.success = response.status >= 200 && response.status < 300;
+      if (!record.success) record.error = `Receiver responded with ${response.status}`;
+    } catch (error) {
+      record.error = error.message;
+    }
+
+    record.durationMs = Date.now() - startedAt;
+    onAttempt(record);
+
+    if (record.success) return true;
+    if (attempt < WEBHOOK_MAX_ATTEMPTS) {
+      await new Promise((resolve) => setTimeout(resolve, retryDelay(attempt)));
+    }
+  }
+
+  console.error(`Webhook delivery ${deliveryId} for job ${job.id} failed after ${WEBHOOK_MAX_ATTEMPTS} attempts`);
+  return false;
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  signPayload,
+  deliver,
+};
@@ -0,0 +1,187 @@
+// services/youtubeKeyPool.js - YouTube Data API key pool with quota tracking and failover
+const { YOUTUBE_API_KEYS, YOUTUBE_DAILY_QUOTA_UNITS } = require('../utils/config');
+const { ERROR_TYPES } = require('../utils/errors');
+const { keyId } = require('../utils/apiKeys');
+const { createCounter } = require('../utils/metrics');
+
+// Quota cost of the Data API methods in use, in units
+const COSTS = {
+  'search.list': 100,
+  'videos.list': 1,
+};
+
+// Error reasons that take a key out of rotation until the next quota reset
+const QUOTA_REASONS = ['quotaExceeded', 'dailyLimitExceeded'];
+// Per-second and per-user throttles: the call moves on to the next key and this one rests briefly
+const THROTTLE_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+const THROTTLE_COOLDOWN_MS = 30 * 1000;
+const INVALID_REASONS = ['keyInvalid', 'keyExpired', 'accessNotConfigured', 'ipRefererBlocked'];
+
+const pacificFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: 'America/Los_Angeles',
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: 'numeric',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: 'numeric',
+  second: 'numeric',
+});
+
+const pacificParts = (date) =>
+  Object.fromEntries(pacificFormatter.formatToParts(date).map(({ type, value }) => [type, parseInt(value, 10)]));
+
+// Minutes Pacific time is ahead of UTC at `date` (-480 in winter, -420 in summer)
+const pacificOffsetMinutes = (date) => {
+  const parts = pacificParts(date);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+// Daily Data API quotas reset at midnight Pacific time
+const getQuotaResetAt = (now = new Date()) => {
+  const today = pacificParts(now);
+  const midnight = Date.UTC(today.year, today.month - 1, today.day + 1);
+  const offset = pacificOffsetMinutes(new Date(midnight - pacificOffsetMinutes(now) * 60000));
+  return new Date(midnight - offset * 60000);
+};
+
+// Usage is an estimate kept in memory: it starts at zero after a restart and does not
+// see other applications sharing a key, which the API's own 403s then make up for
+const keys = YOUTUBE_API_KEYS.split(',')
+  .map((key) => key.trim())
+  .filter(Boolean)
+  .map((key) => ({
+    key,
+    id: keyId(key),
+    unitsUsed: 0,
+    requests: 0,
+    failures: 0,
+    disabledUntil: null,
+    disabledReason: null,
+    lastError: null,
+    resetAt: getQuotaResetAt(),
+  }));
+
+let cursor = 0;
+
+const quotaErrors = createCounter('youtube_quota_errors_total', 'YouTube Data API quota errors by key id.');
+
+// Start a new quota day for keys whose reset time has passed
+const refresh = (entry, now = Date.now()) => {
+  if (now < entry.resetAt.getTime()) return;
+  entry.unitsUsed = 0;
+  entry.disabledUntil = null;
+  entry.disabledReason = null;
+  entry.resetAt = getQuotaResetAt(new Date(now));
+};
+
+const isAvailable = (entry) => !entry.disabledUntil || Date.now() >= entry.disabledUntil.getTime();
+
+const hasHeadroom = (entry, cost) => entry.unitsUsed + cost <= YOUTUBE_DAILY_QUOTA_UNITS;
+
+/**
+ * Usable keys in round-robin order, starting after the last key handed out. Keys whose
+ * estimated usage leaves room for `cost` come first; the rest are still tried, since
+ * the estimate can run ahead of what the API has actually counted.
+ */
+const candidates = (cost) => {
+  const ordered = keys.map((_, index) => keys[(cursor + index) % keys.length]);
+  ordered.forEach((entry) => refresh(entry));
+  const usable = ordered.filter(isAvailable);
+  return [...usable.filter((entry) => hasHeadroom(entry, cost)), ...usable.filter((entry) => !hasHeadroom(entry, cost))];
+};
+
+// googleapis errors carry the API's reason codes in `errors` or in the response body
+const errorReason = (error) => {
+  const list = error.errors || (error.response && error.response.data && error.response.data.error && error.response.data.error.errors);
+  return (Array.isArray(list) && list[0] && list[0].reason) || null;
+};
+
+const disable = (entry, reason, error, until = entry.resetAt) => {
+  entry.disabledUntil = until;
+  entry.disabledReason = reason;
+  entry.lastError = error.message;
+  console.error(`YouTube API key ${entry.id} unavailable until ${until.toISOString()} (${reason})`);
+};
+
+const unavailable = (message, retryable) => {
+  const type = ERROR_TYPES.SEARCH_UNAVAILABLE;
+  return Object.assign(new Error(message || type.message), {
+    code: 'SEARCH_UNAVAILABLE',
+    status: type.status,
+    retryable,
+  });
+};
+
+/**
+ * Run `call(key)` for a Data API `method` with the next healthy key. Keys that answer
+ * with a quota or invalid-key error are set aside until the Pacific-midnight reset, and
+ * throttled keys for THROTTLE_COOLDOWN_MS; the call is then retried on the next key.
+ * Any other error is passed on.
+ */
+const withApiKey = async (method, call) => {
+  if (!keys.length) {
+    throw unavailable('YouTube search is not configured on this server (YOUTUBE_API_KEYS is empty).', false);
+  }
+
+  const cost = COSTS[method] || 1;
+  for (const entry of candidates(cost)) {
+    cursor = (keys.indexOf(entry) + 1) % keys.length;
+    entry.requests += 1;
+    try {
+      const result = await call(entry.key);
+      entry.unitsUsed += cost;
+      return result;
+    } catch (error) {
+      const status = error.response && error.response.status;
+      const reason = errorReason(error);
+      if (!status) throw error;
+
+      entry.failures += 1;
+      if (status === 403 && QUOTA_REASONS.includes(reason)) {
+        entry.unitsUsed = Math.max(entry.unitsUsed, YOUTUBE_DAILY_QUOTA_UNITS);
+        quotaErrors.inc({ key: entry.id });
+        disable(entry, 'quota', error);
+      } else if ((status === 403 || status === 429) && THROTTLE_REASONS.includes(reason)) {
+        disable(entry, 'throttled', error, new Date(Date.now() + THROTTLE_COOLDOWN_MS));
+      } else if ((status === 400 || status === 403) && INVALID_REASONS.includes(reason)) {
+        disable(entry, 'invalid', error);
+      } else {
+        entry.unitsUsed += cost;
+        entry.lastError = error.message;
+        throw error;
+      }
+    }
+  }
+
+  const availableAt = new Date(Math.min(...keys.map((entry) => entry.disabledUntil.getTime())));
+  throw unavailable(`Every YouTube API key is out of quota, throttled or rejected; the next one is available at ${availableAt.toISOString()}.`, true);
+};
+
+const KEY_STATUSES = { quota: 'exhausted', throttled: 'throttled', invalid: 'invalid' };
+
+// Body of GET /admin/youtube-keys; keys are identified by a hash prefix, never shown
+const getKeyPoolStatus = () => {
+  keys.forEach((entry) => refresh(entry));
+  return {
+    dailyQuotaUnits: YOUTUBE_DAILY_QUOTA_UNITS,
+    resetAt: getQuotaResetAt().toISOString(),
+    keys: keys.map((entry) => ({
+      id: entry.id,
+      status: isAvailable(entry) ? 'healthy' : KEY_STATUSES[entry.disabledReason],
+      unitsUsed: entry.unitsUsed,
+      unitsRemaining: Math.max(0, YOUTUBE_DAILY_QUOTA_UNITS - entry.unitsUsed),
+      requests: entry.requests,
+      failures: entry.failures,
+      availableAt: isAvailable(entry) ? null : entry.disabledUntil.toISOString(),
+      lastError: entry.lastError,
+    })),
+  };
+};
+
+module.exports = {
+  withApiKey,
+  getKeyPoolStatus,
+  getQuotaResetAt,
+};
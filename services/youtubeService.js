@@ -1,55 +1,176 @@
-// services/youtubeService.js
+// services/youtubeService.js - Search across the YouTube Data API and yt-dlp search providers
+const crypto = require('crypto');
 const { google } = require('googleapis');
 const { getCache, setCache } = require('../utils/cache');
 const { sanitizeSearchQuery } = require('../utils/validation');
+const { parseSearchOptions, getPublishedAfter } = require('../utils/search');
+const { withApiKey } = require('./youtubeKeyPool');
+const { createYtdlpProvider, isPageToken } = require('./ytdlpSearch');
 
 const youtube = google.youtube('v3');
-const API_KEYS = process.env.YOUTUBE_API_KEYS.split(',');
-let currentKeyIndex = 0;
 
-// Rotate API keys
-const getNextApiKey = () => {
-  const key = API_KEYS[currentKeyIndex];
-  currentKeyIndex = (currentKeyIndex + 1) % API_KEYS.length;
-  return key;
+// Seconds in an ISO 8601 duration such as PT1H2M3S or P1DT2H
+const parseIsoDuration = (value) => {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value || '');
+  if (!match) return null;
+  const [, days, hours, minutes, seconds] = match.map((part) => parseInt(part || '0', 10));
+  return ((days * 24 + hours) * 60 + minutes) * 60 + seconds;
 };
 
-// Search YouTube
-const search = async (query) => {
-  const sanitizedQuery = sanitizeSearchQuery(query);
-  
-  // Check cache first
-  const cachedResults = await getCache(sanitizedQuery);
-  if (cachedResults) {
-    return cachedResults;
+const THUMBNAIL_PREFERENCE = ['maxres', 'standard', 'high', 'medium', 'default'];
+
+const pickThumbnail = (thumbnails = {}) => {
+  const name = THUMBNAIL_PREFERENCE.find((size) => thumbnails[size]);
+  return name ? thumbnails[name].url : null;
+};
+
+const mapThumbnails = (thumbnails = {}) =>
+  Object.fromEntries(
+    Object.entries(thumbnails).map(([size, { url, width, height }]) => [size, { url, width, height }])
+  );
+
+// Duration, views and full thumbnail sets for up to 50 ids in a single videos.list call
+const getVideoDetails = async (ids) => {
+  if (!ids.length) return new Map();
+  const response = await withApiKey('videos.list', (key) =>
+    youtube.videos.list({
+      key,
+      part: 'snippet,contentDetails,statistics',
+      id: ids.join(','),
+      maxResults: ids.length,
+    })
+  );
+  return new Map(response.data.items.map((item) => [item.id, item]));
+};
+
+const getSearchCacheKey = (query, options) =>
+  `search:${crypto.createHash('sha256').update(JSON.stringify([query, options])).digest('hex')}`;
+
+const toSearchError = (error) => {
+  // Key pool errors (no keys, every key out of quota) already carry their status
+  if (error.code && error.status) return error;
+  const status = error.response && error.response.status;
+  // Bad page tokens and filter combinations come back as 400s from the API
+  if (status === 400) {
+    return Object.assign(new Error(`Invalid search request: ${error.message}`), { status: 400 });
   }
+  return new Error('YouTube search failed: ' + error.message);
+};
 
+// Data API search, enriched with one videos.list call for the whole page
+const searchApi = async (query, options) => {
   try {
-    const response = await youtube.search.list({
-      key: getNextApiKey(),
+    const params = {
       part: 'snippet',
-      q: sanitizedQuery,
+      q: query,
       type: 'video',
-      maxResults: 10,
+      maxResults: options.maxResults,
+      order: options.order,
+      safeSearch: options.safeSearch,
+    };
+    if (options.pageToken) params.pageToken = options.pageToken;
+    if (options.duration !== 'any') params.videoDuration = options.duration;
+    if (options.region) params.regionCode = options.region;
+    const publishedAfter = getPublishedAfter(options.uploadDate);
+    if (publishedAfter) params.publishedAfter = publishedAfter;
+
+    const response = await withApiKey('search.list', (key) => youtube.search.list({ ...params, key }));
+    const items = response.data.items.filter((item) => item.id && item.id.videoId);
+    const details = await getVideoDetails(items.map((item) => item.id.videoId));
+
+    const results = items.map((item) => {
+      const video = details.get(item.id.videoId);
+      const thumbnails = (video && video.snippet.thumbnails) || item.snippet.thumbnails;
+      const viewCount = video && video.statistics && video.statistics.viewCount;
+      return {
+        id: item.id.videoId,
+        url: `https://www.youtube.com/watch?v=${item.id.videoId}`,
+        title: item.snippet.title,
+        description: item.snippet.description,
+        thumbnail: pickThumbnail(thumbnails),
+        thumbnails: mapThumbnails(thumbnails),
+        channelId: item.snippet.channelId,
+        channelTitle: item.snippet.channelTitle,
+        publishedAt: item.snippet.publishedAt,
+        duration: video ? parseIsoDuration(video.contentDetails.duration) : null,
+        viewCount: viewCount === undefined || viewCount === null ? null : Number(viewCount),
+        live: item.snippet.liveBroadcastContent !== 'none',
+        platform: 'youtube',
+      };
     });
 
-    const results = response.data.items.map(item => ({
-      id: item.id.videoId,
-      title: item.snippet.title,
-      thumbnail: item.snippet.thumbnails.default.url,
-      channelTitle: item.snippet.channelTitle,
-      publishedAt: item.snippet.publishedAt,
-    }));
-
-    // Cache results for 1 hour
-    await setCache(sanitizedQuery, results, 60 * 60);
-    return results;
+    return {
+      results,
+      nextPageToken: response.data.nextPageToken || null,
+      prevPageToken: response.data.prevPageToken || null,
+      totalResults: response.data.pageInfo ? response.data.pageInfo.totalResults : null,
+      ignoredFilters: [],
+    };
   } catch (error) {
-    if (error.response && error.response.status === 403) {
-      console.error('YouTube API quota exceeded, rotating keys...');
+    throw toSearchError(error);
+  }
+};
+
+const PROVIDERS = {
+  'youtube-api': { id: 'youtube-api', platform: 'youtube', search: searchApi },
+  'youtube-ytdlp': createYtdlpProvider({ id: 'youtube-ytdlp', platformId: 'youtube', prefix: 'ytsearch', datePrefix: 'ytsearchdate' }),
+  'soundcloud-ytdlp': createYtdlpProvider({ id: 'soundcloud-ytdlp', platformId: 'soundcloud', prefix: 'scsearch' }),
+};
+
+// Providers tried in order for each `source`; later ones are fallbacks
+const SOURCE_PROVIDERS = {
+  youtube: ['youtube-api', 'youtube-ytdlp'],
+  soundcloud: ['soundcloud-ytdlp'],
+};
+
+// Invalid requests would fail the same way everywhere; outages, missing keys and quota do not
+const canFallBack = (error) => !error.status || error.status >= 500 || error.status === 429;
+
+// Page tokens only make sense to the provider that issued them
+const providersFor = (options) => {
+  const ids = SOURCE_PROVIDERS[options.source];
+  if (!options.pageToken) return ids;
+  return ids.filter((id) => id.endsWith('-ytdlp') === isPageToken(options.pageToken)).slice(0, 1);
+};
+
+/**
+ * Search `options.source` (see parseSearchOptions), falling back through the source's
+ * providers when one fails. Results are cached for an hour per query and filter
+ * combination; each page names the provider that answered and carries the tokens for
+ * the next and previous pages.
+ */
+const search = async (query, options = parseSearchOptions()) => {
+  const sanitizedQuery = sanitizeSearchQuery(query);
+  const cacheKey = getSearchCacheKey(sanitizedQuery, options);
+
+  // Check cache first
+  const cachedResults = await getCache(cacheKey);
+  if (cachedResults) {
+    return cachedResults;
+  }
+
+  const ids = providersFor(options);
+  if (!ids.length) {
+    throw Object.assign(new Error('pageToken is not valid for this search source'), { status: 400 });
+  }
+
+  let lastError;
+  for (const id of ids) {
+    try {
+      const page = { ...(await PROVIDERS[id].search(sanitizedQuery, options)), provider: id };
+      // Cache results for 1 hour
+      await setCache(cacheKey, page, 60 * 60);
+      return page;
+    } catch (error) {
+      lastError = error;
+      if (!canFallBack(error)) break;
+      // A provider that is simply not configured (no API keys) is skipped quietly
+      if (id !== ids[ids.length - 1] && error.retryable !== false) {
+        console.error(`Search provider ${id} failed, falling back:`, error.message);
+      }
     }
-    throw new Error('YouTube search failed: ' + error.message);
   }
+  throw lastError;
 };
 
-module.exports = { search };
\ No newline at end of file
+module.exports = { search };
@@ -0,0 +1,130 @@
+// services/ytdlpSearch.js - Keyless search through yt-dlp search prefixes (ytsearchN:, scsearchN:)
+const ytdl = require('yt-dlp-exec');
+const { getPlatform } = require('../utils/platforms');
+const { toYtdlError } = require('../utils/errors');
+
+// yt-dlp fetches every result up to the requested page, so deep pages get slow
+const MAX_OFFSET_RESULTS = 100;
+
+// Page tokens of these providers are result offsets; the prefix tells them apart from API tokens
+const PAGE_TOKEN_PREFIX = 'ytdlp-';
+
+// Upper bounds in seconds of the duration buckets, matching YouTube's videoDuration filter
+const DURATION_RANGES = {
+  short: [0, 4 * 60],
+  medium: [4 * 60, 20 * 60],
+  long: [20 * 60, Infinity],
+};
+
+const isPageToken = (token) => typeof token === 'string' && token.startsWith(PAGE_TOKEN_PREFIX);
+
+const parseOffset = (token) => {
+  const offset = isPageToken(token) ? parseInt(token.slice(PAGE_TOKEN_PREFIX.length), 10) : 0;
+  if (!Number.isInteger(offset) || offset < 0 || offset >= MAX_OFFSET_RESULTS) {
+    throw Object.assign(new Error('pageToken is not valid for this search source'), { status: 400 });
+  }
+  return offset;
+};
+
+const toIsoDate = (entry) => {
+  if (entry.timestamp) return new Date(entry.timestamp * 1000).toISOString();
+  const match = /^(\d{4})(\d{2})(\d{2})$/.exec(entry.upload_date || '');
+  return match ? new Date(Date.UTC(match[1], match[2] - 1, match[3])).toISOString() : null;
+};
+
+const mapThumbnails = (thumbnails = []) =>
+  Object.fromEntries(
+    thumbnails
+      .filter((thumbnail) => thumbnail && thumbnail.url)
+      .map((thumbnail, index) => [
+        thumbnail.id === undefined ? String(index) : String(thumbnail.id),
+        { url: thumbnail.url, width: thumbnail.width || null, height: thumbnail.height || null },
+      ])
+  );
+
+// yt-dlp lists thumbnails from worst to best; prefer the widest when sizes are known
+const pickThumbnail = (entry) => {
+  const thumbnails = (entry.thumbnails || []).filter((thumbnail) => thumbnail && thumbnail.url);
+  if (!thumbnails.length) return entry.thumbnail || null;
+  const widest = thumbnails.reduce((best, thumbnail) => ((thumbnail.width || 0) >= (best.width || 0) ? thumbnail : best));
+  return widest.url;
+};
+
+// Same shape as the Data API results in youtubeService
+const toResult = (entry, platformId) => ({
+  id: entry.id || null,
+  url: entry.webpage_url || entry.url || null,
+  title: entry.title || null,
+  description: entry.description || null,
+  thumbnail: pickThumbnail(entry),
+  thumbnails: mapThumbnails(entry.thumbnails),
+  channelId: entry.channel_id || entry.uploader_id || null,
+  channelTitle: entry.channel || entry.uploader || null,
+  publishedAt: toIsoDate(entry),
+  duration: typeof entry.duration === 'number' ? Math.round(entry.duration) : null,
+  viewCount: typeof entry.view_count === 'number' ? entry.view_count : null,
+  live: entry.live_status === 'is_live' || entry.is_live === true,
+  platform: platformId,
+});
+
+const matchesDuration = (result, duration) => {
+  if (duration === 'any' || result.duration === null) return true;
+  const [min, max] = DURATION_RANGES[duration];
+  return result.duration >= min && result.duration < max;
+};
+
+/**
+ * A search provider backed by a yt-dlp search prefix. `datePrefix` is the newest-first
+ * variant where the extractor has one. Duration buckets are applied to the results;
+ * filters yt-dlp cannot express are reported back in `ignoredFilters`.
+ */
+const createYtdlpProvider = ({ id, platformId, prefix, datePrefix = null }) => {
+  const platform = getPlatform(platformId);
+
+  const search = async (query, options) => {
+    const offset = parseOffset(options.pageToken);
+    const count = Math.min(offset + options.maxResults, MAX_OFFSET_RESULTS);
+    const searchPrefix = options.order === 'date' && datePrefix ? datePrefix : prefix;
+
+    const ytdlOptions = {
+      dumpSingleJson: true,
+      flatPlaylist: true,
+      skipDownload: true,
+      noWarnings: true,
+      noCheckCertificates: true,
+      playlistItems: `${offset + 1}:${count}`,
+      userAgent: platform.userAgent,
+    };
+    if (platform.proxyEnv && process.env[platform.proxyEnv]) ytdlOptions.proxy = process.env[platform.proxyEnv];
+
+    let playlist;
+    try {
+      playlist = await ytdl(`${searchPrefix}${count}:${query}`, ytdlOptions);
+    } catch (error) {
+      throw toYtdlError(error, platformId);
+    }
+
+    const entries = (playlist && playlist.entries) || [];
+    const ignoredFilters = [];
+    if (options.order !== 'relevance' && searchPrefix === prefix) ignoredFilters.push('order');
+    if (options.uploadDate) ignoredFilters.push('uploadDate');
+    if (options.region) ignoredFilters.push('region');
+    if (options.safeSearch !== 'moderate') ignoredFilters.push('safeSearch');
+
+    const hasMore = entries.length >= count - offset && count < MAX_OFFSET_RESULTS;
+    return {
+      results: entries.map((entry) => toResult(entry, platformId)).filter((result) => matchesDuration(result, options.duration)),
+      nextPageToken: hasMore ? `${PAGE_TOKEN_PREFIX}${count}` : null,
+      prevPageToken: offset > 0 ? `${PAGE_TOKEN_PREFIX}${Math.max(0, offset - options.maxResults)}` : null,
+      totalResults: null,
+      ignoredFilters,
+    };
+  };
+
+  return { id, platform: platformId, search };
+};
+
+module.exports = {
+  createYtdlpProvider,
+  isPageToken,
+};
@@ -0,0 +1,34 @@
+// test/callbacks.test.js - Webhook receivers must be public
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { KEYS, startApp, cleanup } = require('./helpers');
+const { validateCallbackUrl } = require('../utils/validation');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(async () => {
+  await app.close();
+  cleanup();
+});
+
+test('callback URLs on private, loopback or link-local addresses are refused', async () => {
+  for (const callbackUrl of ['http://127.0.0.1:8080/hook', 'http://localhost/hook', 'http://169.254.169.254/', 'http://[::ffff:10.0.0.1]/']) {
+    const response = await app.request('/download', {
+      key: KEYS.a,
+      method: 'POST',
+      body: { url: 'https://www.instagram.com/reel/Cabc123/', callbackUrl },
+    });
+    assert.strictEqual(response.status, 400, callbackUrl);
+    assert.strictEqual(response.json.error, 'callbackUrl must not point at a private, loopback or link-local address');
+  }
+});
+
+test('public callback URLs are accepted as given', async () => {
+  assert.strictEqual(await validateCallbackUrl('https://8.8.8.8/hook?x=1'), 'https://8.8.8.8/hook?x=1');
+  await assert.rejects(validateCallbackUrl('ftp://example.com/hook'), /valid http\(s\) URL/);
+  await assert.rejects(validateCallbackUrl('https://hooks.invalid/'), /could not be resolved/);
+});
@@ -0,0 +1,28 @@
+// test/canonicalUrl.test.js - Canonical URLs and media ids
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeUrl, getMediaId, canonicalizeUrl } = require('../utils/canonicalUrl');
+
+test('tracking parameters, fragments and trailing slashes are dropped', () => {
+  assert.strictEqual(
+    normalizeUrl('http://www.instagram.com/reel/Cabc123/?igsh=xyz&utm_source=share#top'),
+    'https://www.instagram.com/reel/Cabc123'
+  );
+});
+
+test('vimeo media ids', () => {
+  assert.strictEqual(getMediaId('https://vimeo.com/76979871'), '76979871');
+  assert.strictEqual(getMediaId('https://vimeo.com/channels/staffpicks/76979871'), '76979871');
+  assert.strictEqual(getMediaId('https://vimeo.com/groups/motion/videos/76979871'), '76979871');
+  assert.strictEqual(getMediaId('https://player.vimeo.com/video/76979871?h=abc'), '76979871');
+});
+
+test('a vimeo showcase video is identified by the video, not the showcase', async () => {
+  const first = await canonicalizeUrl('https://vimeo.com/showcase/123/video/456');
+  const second = await canonicalizeUrl('https://vimeo.com/showcase/123/video/789');
+
+  assert.strictEqual(first.mediaId, '456');
+  assert.strictEqual(second.mediaId, '789');
+  assert.strictEqual(getMediaId('https://vimeo.com/album/123/video/456'), '456');
+  assert.strictEqual(getMediaId('https://vimeo.com/showcase/123'), null);
+});
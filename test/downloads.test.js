@@ -0,0 +1,131 @@
+// test/downloads.test.js - Pausing, cancelling and restoring background downloads
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { root, ytdlpCalls, cleanup } = require('./helpers');
+const downloadService = require('../services/downloadService');
+
+after(() => cleanup());
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const downloadCalls = (id) => ytdlpCalls().filter((call) => call.includes(`${id}.%(ext)s`));
+
+const waitForStatus = async (id, status) => {
+  for (let i = 0; i < 100 && downloadService.getDownloadStatus(id).status !== status; i++) await sleep(50);
+  assert.strictEqual(downloadService.getDownloadStatus(id).status, status);
+};
+
+test('a download paused before yt-dlp starts never starts it', async () => {
+  const id = await downloadService.startDownload('https://www.instagram.com/reel/Cpause1/', null);
+  assert.strictEqual(downloadService.getDownloadStatus(id).status, 'downloading');
+  await downloadService.pauseDownload(id);
+  await sleep(300);
+
+  assert.strictEqual(downloadService.getDownloadStatus(id).status, 'paused');
+  assert.deepStrictEqual(downloadCalls(id), []);
+});
+
+test('a download cancelled before yt-dlp starts stays cancelled', async () => {
+  const id = await downloadService.startDownload('https://www.instagram.com/reel/Ccancel1/', null);
+  assert.strictEqual(downloadService.getDownloadStatus(id).status, 'downloading');
+  await downloadService.cancelDownload(id);
+  await sleep(300);
+
+  assert.strictEqual(downloadService.getDownloadStatus(id).status, 'cancelled');
+  assert.deepStrictEqual(downloadCalls(id), []);
+});
+
+test('a resume right after a pause before yt-dlp starts runs the download once', async () => {
+  const id = await downloadService.startDownload('https://www.instagram.com/reel/Cresume1/', null);
+  assert.strictEqual(downloadService.getDownloadStatus(id).status, 'downloading');
+  await downloadService.pauseDownload(id);
+  await downloadService.resumeDownload(id);
+
+  await waitForStatus(id, 'error');
+  assert.strictEqual(downloadCalls(id).length, 1);
+});
+
+test('a clip is checked with the cookie profile of the download', async () => {
+  const cookieService = require('../services/cookieService');
+  const profile = await cookieService.createProfile({ platform: 'instagram', cookies: 'sessionid=abc' });
+  const url = 'https://www.instagram.com/reel/Cclip1/';
+
+  const id = await downloadService.startDownload(url, null, {
+    clip: { start: 2, end: 4, exactCuts: false },
+    cookieProfile: profile.id,
+  });
+  await downloadService.cancelDownload(id);
+
+  const probe = ytdlpCalls().find((call) => call.startsWith(url) && call.includes('--dump-single-json'));
+  assert.ok(probe, 'the media was not extracted');
+  assert.match(probe, /--cookies \S+/);
+});
+
+test('cancelling a shared download hands it over to the job still waiting on it', async () => {
+  const url = 'https://www.instagram.com/reel/Cshared1/';
+  const owner = await downloadService.startDownload(url, null);
+  await waitForStatus(owner, 'downloading');
+  const follower = await downloadService.startDownload(url, null);
+  assert.strictEqual(downloadService.getDownloadStatus(follower).status, 'downloading');
+
+  await downloadService.cancelDownload(owner);
+  assert.strictEqual(downloadService.getDownloadStatus(owner).status, 'cancelled');
+  assert.strictEqual(downloadService.getDownloadStatus(follower).status, 'downloading');
+
+  // The fake yt-dlp fails after a second; the failure reaches the new owner only
+  await waitForStatus(follower, 'error');
+  assert.strictEqual(downloadService.getDownloadStatus(owner).status, 'cancelled');
+  assert.strictEqual(downloadCalls(owner).length, 1);
+  assert.strictEqual(downloadCalls(follower).length, 0);
+});
+
+test('a follower can pause and later rejoin a shared download', async () => {
+  const url = 'https://www.instagram.com/reel/Cshared2/';
+  const owner = await downloadService.startDownload(url, null);
+  await waitForStatus(owner, 'downloading');
+  const follower = await downloadService.startDownload(url, null);
+
+  await downloadService.pauseDownload(follower);
+  assert.strictEqual(downloadService.getDownloadStatus(follower).status, 'paused');
+  assert.strictEqual(downloadService.getDownloadStatus(owner).status, 'downloading');
+
+  await downloadService.resumeDownload(follower);
+  assert.strictEqual(downloadService.getDownloadStatus(follower).status, 'downloading');
+  await waitForStatus(follower, 'error');
+  assert.strictEqual(downloadService.getDownloadStatus(owner).status, 'error');
+  assert.strictEqual(downloadCalls(follower).length, 0);
+});
+
+const restoredJob = (id, status) => ({
+  id,
+  url: `https://www.instagram.com/reel/${id}/`,
+  platform: 'instagram',
+  status,
+  webhookDeliveries: [],
+  createdAt: Date.now(),
+  updatedAt: Date.now(),
+});
+
+test('leftover fragments and unmerged formats are not taken for a finished file on restore', async () => {
+  const leftovers = ['.mp4.part-Frag12', '.f137.mp4', '.f140.m4a', '.temp.mp4'].map((suffix) => `restore-partial${suffix}`);
+  [...leftovers, 'restore-paused.mp4', 'restore-done.mp4'].forEach((file) =>
+    fs.writeFileSync(path.join(root, 'downloads', file), 'x')
+  );
+
+  await downloadService.restoreJobs([
+    restoredJob('restore-partial', 'downloading'),
+    restoredJob('restore-paused', 'paused'),
+    restoredJob('restore-done', 'downloading'),
+  ]);
+
+  const partial = downloadService.getDownloadStatus('restore-partial');
+  assert.strictEqual(partial.status, 'interrupted');
+  assert.strictEqual(partial.downloadUrl, null);
+  assert.strictEqual(downloadService.getDownloadStatus('restore-paused').status, 'paused');
+
+  const done = downloadService.getDownloadStatus('restore-done');
+  assert.strictEqual(done.status, 'completed');
+  assert.strictEqual(done.downloadUrl, '/downloads/restore-done.mp4');
+});
@@ -0,0 +1,115 @@
+// test/helpers.js - Isolated data directories, test API keys and the API on a free port
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'viewgo-test-'));
+
+const KEYS = {
+  a: 'test-key-a',
+  b: 'test-key-b',
+  admin: 'test-key-admin',
+  limited: 'test-key-limited',
+  oneSlot: 'test-key-one-slot',
+};
+
+// Stands in for yt-dlp: a three-entry playlist for --flat-playlist, a small info
+// document for other JSON dumps, and a download that fails after a second. Every
+// call is logged to bin/calls.log.
+const FAKE_YTDLP = `#!/bin/sh
+echo "$*" >> "$(dirname "$0")/calls.log"
+case "$*" in
+  *--flat-playlist*)
+    echo '{"title":"Playlist","entries":[{"url":"https://www.instagram.com/reel/Cone1/"},{"url":"https://www.instagram.com/reel/Ctwo2/"},{"url":"https://www.instagram.com/reel/Cthree3/"}]}' ;;
+  *--dump-single-json*)
+    echo '{"id":"Cone1","title":"Reel","duration":10,"formats":[{"format_id":"18","vcodec":"avc1","acodec":"mp4a","ext":"mp4","height":360,"protocol":"https","url":"https://example.com/v.mp4"}]}' ;;
+  *)
+    sleep 1
+    exit 1 ;;
+esac
+`;
+fs.mkdirSync(path.join(root, 'bin'));
+fs.writeFileSync(path.join(root, 'bin', 'yt-dlp'), FAKE_YTDLP, { mode: 0o755 });
+
+// Must be set before anything requires utils/config or yt-dlp-exec
+Object.assign(process.env, {
+  YOUTUBE_DL_DIR: path.join(root, 'bin'),
+  DOWNLOAD_DIR: path.join(root, 'downloads'),
+  DATA_DIR: path.join(root, 'data'),
+  STREAM_BUFFER_DIR: path.join(root, 'streams'),
+  API_KEYS_FILE: path.join(root, 'api-keys.json'),
+  COOKIE_ENCRYPTION_KEY: 'test passphrase',
+  MIN_FREE_DISK_BYTES: '0',
+  JOB_STORE: 'file',
+  YOUTUBE_API_KEYS: '',
+});
+fs.mkdirSync(process.env.DOWNLOAD_DIR, { recursive: true });
+fs.writeFileSync(
+  process.env.API_KEYS_FILE,
+  JSON.stringify([
+    { key: KEYS.a, name: 'a' },
+    { key: KEYS.b, name: 'b' },
+    { key: KEYS.admin, name: 'admin', admin: true },
+    { key: KEYS.limited, name: 'limited', quotas: { searchesPerDay: 1, extractionsPerDay: 2, concurrentDownloads: 1 } },
+    { key: KEYS.oneSlot, name: 'one-slot', quotas: { concurrentDownloads: 1 } },
+  ])
+);
+
+// The app as server.js assembles it, without the startup work
+const startApp = async () => {
+  const express = require('express');
+  const { authenticate, trackStreamedBytes } = require('../utils/auth');
+  const { sendError } = require('../utils/errors');
+  const apiRouter = require('../routes/api');
+
+  const app = express();
+  app.use(express.json());
+  app.use(authenticate);
+  app.use('/downloads', trackStreamedBytes, express.static(process.env.DOWNLOAD_DIR));
+  app.use('/', apiRouter);
+  app.use((err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    sendError(res, err);
+  });
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (urlPath, { key, method = 'GET', body, headers = {} } = {}) => {
+    const response = await fetch(baseUrl + urlPath, {
+      method,
+      headers: {
+        ...(key ? { 'X-API-Key': key } : {}),
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...headers,
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (error) {}
+    return { status: response.status, headers: response.headers, text, json };
+  };
+
+  return { baseUrl, request, close: () => new Promise((resolve) => server.close(resolve)) };
+};
+
+// Arguments of every yt-dlp call so far, one string per call
+const ytdlpCalls = () => {
+  const log = path.join(root, 'bin', 'calls.log');
+  return fs.existsSync(log) ? fs.readFileSync(log, 'utf8').split('\n').filter(Boolean) : [];
+};
+
+const cleanup = () => fs.rmSync(root, { recursive: true, force: true });
+
+module.exports = {
+  root,
+  KEYS,
+  startApp,
+  ytdlpCalls,
+  cleanup,
+};
@@ -0,0 +1,114 @@
+// test/history.test.js - Job history pruning and what the job store keeps on disk
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { root, cleanup } = require('./helpers');
+const jobStore = require('../utils/jobStore');
+const downloadService = require('../services/downloadService');
+const batchService = require('../services/batchService');
+const { getEncryptionKey, decrypt } = require('../utils/encryption');
+
+const HOUR = 60 * 60 * 1000;
+const storeFile = path.join(root, 'data', 'jobs.json');
+
+before(() => jobStore.initializeJobStore());
+after(() => cleanup());
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const readStore = () => JSON.parse(fs.readFileSync(storeFile, 'utf8'));
+
+const finishedJob = (id, changes = {}) => ({
+  id,
+  url: `https://www.instagram.com/reel/${id}/`,
+  platform: 'instagram',
+  status: 'error',
+  error: 'failed',
+  webhookDeliveries: [],
+  createdAt: Date.now() - 2 * HOUR,
+  updatedAt: Date.now() - HOUR,
+  ...changes,
+});
+
+test('writes made close together reach the file store as one write', async () => {
+  const writes = [];
+  const writeFile = fs.promises.writeFile;
+  fs.promises.writeFile = (...args) => {
+    writes.push(args[0]);
+    return writeFile(...args);
+  };
+  try {
+    const saved = ['w1', 'w2', 'w3'].map((id) => jobStore.saveJob(finishedJob(id)));
+    await Promise.all(saved);
+  } finally {
+    fs.promises.writeFile = writeFile;
+  }
+
+  assert.strictEqual(writes.length, 1);
+  assert.deepStrictEqual(['w1', 'w2', 'w3'].filter((id) => readStore()[id]), ['w1', 'w2', 'w3']);
+});
+
+test('flushJobs writes a pending change right away', async () => {
+  jobStore.saveJob(finishedJob('flushed'));
+  await jobStore.flushJobs();
+  assert.ok(readStore().flushed);
+});
+
+test('finished jobs past JOB_HISTORY_HOURS are pruned from memory and the store', async () => {
+  await downloadService.restoreJobs([
+    finishedJob('stale', { updatedAt: Date.now() - 24 * HOUR + 200 }),
+    finishedJob('recent'),
+  ]);
+  assert.strictEqual(downloadService.getDownloadStatus('stale').status, 'error');
+
+  await sleep(300);
+  downloadService.pruneJobHistory();
+  await jobStore.flushJobs();
+
+  assert.throws(() => downloadService.getDownloadStatus('stale'), { status: 404 });
+  assert.strictEqual(downloadService.getDownloadStatus('recent').status, 'error');
+  assert.strictEqual(readStore().stale, undefined);
+});
+
+test('batches whose expansion failed leave the history too', async () => {
+  const failedBatch = (id, changes) => ({
+    id,
+    kind: 'batch',
+    source: 'playlist',
+    status: 'error',
+    error: 'Failed to expand playlist: Playlist has no entries',
+    items: [],
+    createdAt: Date.now() - 30 * HOUR,
+    ...changes,
+  });
+  batchService.restoreBatches([
+    failedBatch('batch-failed', { updatedAt: Date.now() - 25 * HOUR }),
+    failedBatch('batch-restarted', { status: 'expanding', error: null }),
+  ]);
+  assert.strictEqual(batchService.getBatchStatus('batch-restarted').status, 'error');
+  assert.ok(batchService.getBatchStatus('batch-restarted').completedAt);
+
+  batchService.pruneBatchHistory();
+  assert.throws(() => batchService.getBatchStatus('batch-failed'), { status: 404 });
+  assert.strictEqual(batchService.getBatchStatus('batch-restarted').status, 'error');
+});
+
+test('callback secrets are stored encrypted', async () => {
+  // A completed job whose file is gone is saved again as expired
+  await downloadService.restoreJobs([
+    finishedJob('sealed', { status: 'completed', callbackUrl: 'https://hooks.example.com/a', callbackSecret: 'hook-secret' }),
+  ]);
+  await jobStore.flushJobs();
+
+  const record = readStore().sealed;
+  assert.strictEqual(record.status, 'expired');
+  assert.doesNotMatch(fs.readFileSync(storeFile, 'utf8'), /hook-secret/);
+  assert.strictEqual(decrypt(record.callbackSecret.sealed, 'sealed:callbackSecret', getEncryptionKey()), 'hook-secret');
+});
+
+test('a callback whose secret cannot be decrypted is dropped on restore', async () => {
+  await downloadService.restoreJobs([
+    finishedJob('unsealable', { callbackUrl: 'https://hooks.example.com/b', callbackSecret: { sealed: 'AAAA.AAAA.AAAA' } }),
+  ]);
+  assert.strictEqual(downloadService.getDownloadStatus('unsealable').callbackUrl, null);
+});
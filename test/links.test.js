@@ -0,0 +1,48 @@
+// test/links.test.js - File and thumbnail links that work without an API key
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { KEYS, startApp, cleanup } = require('./helpers');
+const { buildThumbnailProxyUrl } = require('../utils/helpers');
+
+let app;
+
+test.before(async () => {
+  app = await startApp();
+});
+
+test.after(async () => {
+  await app.close();
+  cleanup();
+});
+
+test('finished files are served without a key', async () => {
+  const name = '3f1c2a9e-8d4b-4c6e-9a7f-0b1d2e3f4a5b.mp4';
+  fs.writeFileSync(path.join(process.env.DOWNLOAD_DIR, name), 'video bytes');
+
+  const served = await app.request(`/downloads/${name}`);
+  assert.strictEqual(served.status, 200);
+  assert.strictEqual(served.text, 'video bytes');
+  assert.strictEqual((await app.request('/downloads/missing.mp4')).status, 404);
+});
+
+test('thumbnail URLs from the API carry a signature that replaces the key', async () => {
+  const signed = buildThumbnailProxyUrl('http://127.0.0.1/thumb.jpg', 'instagram');
+  assert.match(signed, /[?&]sig=/);
+
+  // Past authentication, the proxy itself refuses the loopback address
+  const response = await app.request(signed);
+  assert.notStrictEqual(response.status, 401);
+
+  const unsigned = signed.replace(/&sig=[^&]*/, '');
+  assert.strictEqual((await app.request(unsigned)).status, 401);
+  assert.strictEqual((await app.request(signed.replace('thumb.jpg', 'other.jpg'))).status, 401);
+  assert.strictEqual((await app.request(signed.replace('instagram', 'tiktok'))).status, 401);
+});
+
+test('other routes still require a key', async () => {
+  assert.strictEqual((await app.request('/downloads')).status, 401);
+  assert.strictEqual((await app.request('/me/usage')).status, 401);
+  assert.strictEqual((await app.request('/me/usage', { key: KEYS.a })).status, 200);
+});
@@ -0,0 +1,41 @@
+// test/metrics.test.js - Who may scrape /metrics
+process.env.METRICS_TOKEN = 'scrape-token';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { KEYS, startApp, cleanup } = require('./helpers');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(async () => {
+  await app.close();
+  cleanup();
+});
+
+test('/metrics is not public', async () => {
+  assert.strictEqual((await app.request('/metrics')).status, 401);
+});
+
+test('/metrics refuses keys that are not admin', async () => {
+  assert.strictEqual((await app.request('/metrics', { key: KEYS.a })).status, 403);
+});
+
+test('/metrics accepts an admin key', async () => {
+  const response = await app.request('/metrics', { key: KEYS.admin });
+  assert.strictEqual(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/plain/);
+});
+
+test('/metrics accepts METRICS_TOKEN as a bearer token', async () => {
+  const response = await app.request('/metrics', { headers: { Authorization: 'Bearer scrape-token' } });
+  assert.strictEqual(response.status, 200);
+});
+
+test('METRICS_TOKEN is not an API key anywhere else', async () => {
+  const response = await app.request('/me/usage', { headers: { Authorization: 'Bearer scrape-token' } });
+  assert.strictEqual(response.status, 401);
+});
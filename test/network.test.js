@@ -0,0 +1,45 @@
+// test/network.test.js - Private address checks for server-side fetches
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const axios = require('axios');
+const { cleanup } = require('./helpers');
+const { isPrivateAddress, resolvePublicAddresses, publicLookup } = require('../utils/network');
+const { getThumbnail } = require('../services/thumbnailService');
+
+after(() => cleanup());
+
+test('private, loopback, link-local and mapped addresses are recognised', () => {
+  const blocked = ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:a9fe:a9fe'];
+  for (const address of blocked) {
+    assert.strictEqual(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['8.8.8.8', '151.101.1.140', '2606:4700:4700::1111']) {
+    assert.strictEqual(isPrivateAddress(address), false, address);
+  }
+});
+
+test('hosts are rejected when they resolve to a private address', async () => {
+  for (const hostname of ['localhost', 'api.localhost', '127.0.0.1', '[::1]', '[::ffff:7f00:1]']) {
+    await assert.rejects(resolvePublicAddresses(hostname), { status: 400 }, hostname);
+  }
+  assert.deepStrictEqual(await resolvePublicAddresses('8.8.8.8'), [{ address: '8.8.8.8', family: 4 }]);
+});
+
+test('requests made with publicLookup never connect to a private address', async () => {
+  const server = http.createServer((req, res) => res.end('internal'));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const url = `http://localhost:${server.address().port}/`;
+    await assert.rejects(axios.get(url, { lookup: publicLookup }), /not a public address/);
+    assert.strictEqual((await axios.get(url)).data, 'internal');
+  } finally {
+    server.close();
+  }
+});
+
+test('the thumbnail proxy refuses private targets', async () => {
+  for (const url of ['http://localhost/a.jpg', 'http://[::ffff:127.0.0.1]/a.jpg', 'http://169.254.169.254/latest/meta-data']) {
+    await assert.rejects(getThumbnail({ url }), { status: 400, message: 'Thumbnail URL is not allowed' }, url);
+  }
+});
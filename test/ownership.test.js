@@ -0,0 +1,77 @@
+// test/ownership.test.js - Jobs, batches and cookie profiles are only reachable by their API key
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { KEYS, startApp, cleanup } = require('./helpers');
+const { keyId } = require('../utils/apiKeys');
+const downloadService = require('../services/downloadService');
+const batchService = require('../services/batchService');
+
+let app;
+
+before(async () => {
+  const now = Date.now();
+  await downloadService.restoreJobs([
+    {
+      id: 'job-a',
+      url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+      platform: 'youtube',
+      status: 'paused',
+      progress: 40,
+      apiKeyId: keyId(KEYS.a),
+      createdAt: now,
+      updatedAt: now,
+    },
+  ]);
+  batchService.restoreBatches([
+    { id: 'batch-a', kind: 'batch', status: 'running', items: [], apiKeyId: keyId(KEYS.a), createdAt: now },
+  ]);
+  app = await startApp();
+});
+
+after(async () => {
+  await app.close();
+  cleanup();
+});
+
+test('a download is visible to its own key and to admins only', async () => {
+  assert.strictEqual((await app.request('/download/job-a', { key: KEYS.a })).status, 200);
+  assert.strictEqual((await app.request('/download/job-a', { key: KEYS.admin })).status, 200);
+
+  const foreign = await app.request('/download/job-a', { key: KEYS.b });
+  assert.strictEqual(foreign.status, 404);
+  assert.strictEqual(foreign.json.error, 'Download not found');
+  assert.strictEqual((await app.request('/download/job-a/progress', { key: KEYS.b })).status, 404);
+});
+
+test('another key can neither cancel, pause nor resume a download', async () => {
+  assert.strictEqual((await app.request('/download/job-a', { key: KEYS.b, method: 'DELETE' })).status, 404);
+  assert.strictEqual((await app.request('/download/job-a/pause', { key: KEYS.b, method: 'POST' })).status, 404);
+  assert.strictEqual((await app.request('/download/job-a/resume', { key: KEYS.b, method: 'POST' })).status, 404);
+  assert.strictEqual(downloadService.getDownloadStatus('job-a').status, 'paused');
+});
+
+test('batches are scoped to their key', async () => {
+  assert.strictEqual((await app.request('/download/batch/batch-a', { key: KEYS.a })).status, 200);
+  assert.strictEqual((await app.request('/download/batch/batch-a', { key: KEYS.b })).status, 404);
+});
+
+test('cookie profiles can only be read, used and deleted by their key', async () => {
+  const created = await app.request('/cookie-profiles', {
+    key: KEYS.a,
+    method: 'POST',
+    body: { platform: 'instagram', cookies: 'SID=secret' },
+  });
+  assert.strictEqual(created.status, 201);
+  const { id } = created.json;
+
+  assert.strictEqual((await app.request(`/cookie-profiles/${id}`, { key: KEYS.a })).status, 200);
+  assert.strictEqual((await app.request(`/cookie-profiles/${id}`, { key: KEYS.b })).status, 404);
+  assert.strictEqual((await app.request(`/cookie-profiles/${id}`, { key: KEYS.b, method: 'DELETE' })).status, 404);
+
+  const url = encodeURIComponent('https://www.instagram.com/reel/Cabc123/');
+  const borrowed = await app.request(`/preview?url=${url}&cookieProfile=${id}`, { key: KEYS.b });
+  assert.strictEqual(borrowed.status, 404);
+  assert.strictEqual(borrowed.json.error, 'Cookie profile not found');
+
+  assert.strictEqual((await app.request(`/cookie-profiles/${id}`, { key: KEYS.a, method: 'DELETE' })).status, 200);
+});
@@ -0,0 +1,19 @@
+// test/progressParser.test.js - yt-dlp output split across stdout and stderr chunks
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProgressParser } = require('../utils/progressParser');
+
+test('a line split across chunks is not joined with the other stream', () => {
+  const updates = [];
+  const lines = [];
+  const parser = createProgressParser({ onProgress: (state) => updates.push(state), onLine: (line) => lines.push(line) });
+  const stderr = parser.createInput();
+
+  parser.push('[viewgo:progress]{"status":"downloading","downloaded_');
+  stderr('WARNING: [instagram] slow response\n');
+  parser.push('bytes":50,"total_bytes":200}\n');
+
+  assert.deepStrictEqual(lines, ['WARNING: [instagram] slow response']);
+  assert.strictEqual(updates.length, 1);
+  assert.strictEqual(updates[0].progress, 25);
+});
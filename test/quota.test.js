@@ -0,0 +1,73 @@
+// test/quota.test.js - Per-key daily quotas and download slots
+const test = require('node:test');
+const assert = require('node:assert');
+const { KEYS, startApp, cleanup } = require('./helpers');
+
+let app;
+
+test.before(async () => {
+  app = await startApp();
+});
+
+test.after(async () => {
+  await app.close();
+  cleanup();
+});
+
+const waitFor = async (check, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = await check();
+    if (value) return value;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error('Timed out');
+};
+
+test('searches past the daily limit answer 429 with the quota details', async () => {
+  await app.request('/search', { key: KEYS.limited, method: 'POST', body: { query: 'cats' } });
+  const refused = await app.request('/search', { key: KEYS.limited, method: 'POST', body: { query: 'cats' } });
+  assert.strictEqual(refused.status, 429);
+  assert.strictEqual(refused.json.code, 'QUOTA_EXCEEDED');
+  assert.strictEqual(refused.json.quota, 'searchesPerDay');
+  assert.strictEqual(refused.json.limit, 1);
+  assert.ok(Number(refused.headers.get('retry-after')) > 0);
+});
+
+test('a URL batch counts every URL up front', async () => {
+  const urls = ['https://www.instagram.com/reel/Ca1/', 'https://www.instagram.com/reel/Cb2/', 'https://www.instagram.com/reel/Cc3/'];
+  const refused = await app.request('/download/batch', { key: KEYS.limited, method: 'POST', body: { urls } });
+  assert.strictEqual(refused.status, 429);
+  assert.strictEqual(refused.json.quota, 'extractionsPerDay');
+});
+
+test('an expanded playlist only starts as many jobs as the quotas have left', async () => {
+  const started = await app.request('/download/batch', {
+    key: KEYS.limited,
+    method: 'POST',
+    body: { url: 'https://www.instagram.com/reel/Cplaylist/' },
+  });
+  assert.strictEqual(started.status, 200);
+
+  const batch = await waitFor(async () => {
+    const { json } = await app.request(`/download/batch/${started.json.id}`, { key: KEYS.limited });
+    return json.status === 'expanding' ? null : json;
+  });
+  assert.strictEqual(batch.items.length, 1);
+  assert.strictEqual(batch.truncated, true);
+  assert.strictEqual(batch.truncatedBy, 'quota');
+
+  const usage = await app.request('/me/usage', { key: KEYS.limited });
+  assert.strictEqual(usage.json.usage.extractions.used, 2);
+});
+
+test('a key at its download slot limit cannot queue another download', async () => {
+  const body = { urls: ['https://www.instagram.com/reel/Cd4/'] };
+  const first = await app.request('/download/batch', { key: KEYS.oneSlot, method: 'POST', body });
+  assert.strictEqual(first.status, 200);
+
+  const refused = await app.request('/download/batch', { key: KEYS.oneSlot, method: 'POST', body });
+  assert.strictEqual(refused.status, 429);
+  assert.strictEqual(refused.json.quota, 'concurrentDownloads');
+  assert.strictEqual(refused.json.used, 1);
+});
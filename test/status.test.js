@@ -0,0 +1,50 @@
+// test/status.test.js - Job status responses only carry public fields
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { KEYS, startApp, cleanup } = require('./helpers');
+const { keyId } = require('../utils/apiKeys');
+const downloadService = require('../services/downloadService');
+
+let app;
+
+before(async () => {
+  const now = Date.now();
+  await downloadService.restoreJobs([
+    {
+      id: 'job-failed',
+      url: 'https://www.instagram.com/reel/Cabc123/',
+      platform: 'instagram',
+      status: 'error',
+      progress: 10,
+      error: 'Something went wrong while processing the request.',
+      errorCode: 'INTERNAL_ERROR',
+      errorDetail: 'ERROR: --cookies /tmp/viewgo-cookies-1/cookies.txt',
+      dedupKey: 'instagram:Cabc123:best',
+      cookieProfile: 'profile-1',
+      callbackUrl: 'https://hooks.example.com/viewgo',
+      callbackSecret: 'whsec',
+      webhookDeliveries: [],
+      apiKeyId: keyId(KEYS.a),
+      createdAt: now,
+      updatedAt: now,
+    },
+  ]);
+  app = await startApp();
+});
+
+after(async () => {
+  await app.close();
+  cleanup();
+});
+
+test('internal job fields never reach the client', async () => {
+  const { status, json } = await app.request('/download/job-failed', { key: KEYS.a });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(json.status, 'error');
+  assert.strictEqual(json.errorCode, 'INTERNAL_ERROR');
+  assert.strictEqual(json.callbackUrl, 'https://hooks.example.com/viewgo');
+  assert.strictEqual(json.downloadUrl, null);
+  for (const field of ['apiKeyId', 'cookieProfile', 'dedupKey', 'errorDetail', 'callbackSecret', 'filePath', 'sharedFrom']) {
+    assert.ok(!(field in json), `${field} is exposed`);
+  }
+});
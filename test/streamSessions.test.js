@@ -0,0 +1,96 @@
+// test/streamSessions.test.js - Range requests against stream buffers and startup cleanup
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { root, cleanup } = require('./helpers');
+const { createSession, serveSession, removeStaleBuffers } = require('../services/streamSessions');
+
+const BODY = Buffer.from('0123456789');
+
+let server;
+let baseUrl;
+const served = new Map();
+
+before(async () => {
+  const app = express();
+  app.get('/:key', (req, res) => serveSession(served.get(req.params.key), req.get('range'), res));
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+  cleanup();
+});
+
+const newSession = (key, options = {}) => {
+  const session = createSession({ key, streamId: key, contentType: 'video/mp4', extension: 'mp4', filename: 'clip.mp4', ...options });
+  served.set(key, session);
+  return session;
+};
+
+const finishedSession = (key) =>
+  new Promise((resolve) => {
+    const session = newSession(key);
+    session.append(BODY);
+    session.events.on('grow', () => session.complete && resolve(session));
+    session.finish();
+  });
+
+const get = async (key, range) => {
+  const response = await fetch(`${baseUrl}/${key}`, { headers: range ? { Range: range } : {} });
+  return { status: response.status, headers: response.headers, body: Buffer.from(await response.arrayBuffer()) };
+};
+
+test('a range of a finished buffer is answered with 206', async () => {
+  await finishedSession('range');
+  const { status, headers, body } = await get('range', 'bytes=2-5');
+
+  assert.strictEqual(status, 206);
+  assert.strictEqual(headers.get('content-range'), 'bytes 2-5/10');
+  assert.strictEqual(headers.get('content-length'), '4');
+  assert.strictEqual(body.toString(), '2345');
+});
+
+test('a suffix range returns the last bytes', async () => {
+  await finishedSession('suffix');
+  const { status, headers, body } = await get('suffix', 'bytes=-3');
+
+  assert.strictEqual(status, 206);
+  assert.strictEqual(headers.get('content-range'), 'bytes 7-9/10');
+  assert.strictEqual(body.toString(), '789');
+});
+
+test('a range past the end is answered with 416', async () => {
+  await finishedSession('past-end');
+  const { status, headers } = await get('past-end', 'bytes=20-');
+
+  assert.strictEqual(status, 416);
+  assert.strictEqual(headers.get('content-range'), 'bytes */10');
+});
+
+test('a range of an unfinished buffer of unknown size covers the bytes buffered so far', async () => {
+  const session = newSession('growing');
+  session.append(BODY.subarray(0, 4));
+  const { status, headers, body } = await get('growing', 'bytes=0-');
+
+  assert.strictEqual(status, 206);
+  assert.strictEqual(headers.get('content-range'), 'bytes 0-3/*');
+  assert.strictEqual(body.toString(), '0123');
+  session.finish();
+});
+
+test('startup cleanup removes stream buffers only', () => {
+  const dir = path.join(root, 'streams');
+  fs.writeFileSync(path.join(dir, 'left-over.buf'), 'x');
+  fs.writeFileSync(path.join(dir, 'keep.txt'), 'x');
+
+  removeStaleBuffers();
+
+  assert.ok(!fs.existsSync(path.join(dir, 'left-over.buf')));
+  assert.ok(fs.existsSync(path.join(dir, 'keep.txt')));
+});
@@ -0,0 +1,35 @@
+// test/thumbnails.test.js - Thumbnail cache hits and misses
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { cleanup } = require('./helpers');
+const { DATA_DIR } = require('../utils/config');
+const { getThumbnail } = require('../services/thumbnailService');
+
+after(() => cleanup());
+
+// .invalid never resolves, so a cache miss fails fast instead of reaching the network
+const cacheOriginal = (url, meta) => {
+  const key = crypto.createHash('sha1').update(url).digest('hex');
+  const dir = path.join(DATA_DIR, 'thumbnails');
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${key}.orig`), 'image bytes');
+  if (meta !== undefined) fs.writeFileSync(path.join(dir, `${key}.json`), meta);
+  return path.join(dir, `${key}.orig`);
+};
+
+test('a fresh cached original is served with its recorded content type', async () => {
+  const url = 'https://cdn.invalid/fresh.jpg';
+  const original = cacheOriginal(url, JSON.stringify({ url, contentType: 'image/png' }));
+  assert.deepStrictEqual(await getThumbnail({ url }), { path: original, contentType: 'image/png' });
+});
+
+test('a cached original with missing or corrupt metadata is treated as a miss', async () => {
+  for (const [name, meta] of [['missing', undefined], ['corrupt', '{"contentType": "ima'], ['empty', 'null']]) {
+    const url = `https://cdn.invalid/${name}.jpg`;
+    cacheOriginal(url, meta);
+    await assert.rejects(getThumbnail({ url }), { status: 502, message: /^Failed to fetch thumbnail/ }, name);
+  }
+});
@@ -0,0 +1,47 @@
+// test/youtubeKeyPool.test.js - Failover between YouTube Data API keys
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { cleanup } = require('./helpers');
+
+process.env.YOUTUBE_API_KEYS = 'key-one,key-two';
+const { withApiKey, getKeyPoolStatus } = require('../services/youtubeKeyPool');
+const { YOUTUBE_DAILY_QUOTA_UNITS } = require('../utils/config');
+
+after(() => cleanup());
+
+// Shaped like a googleapis request error
+const apiError = (status, reason) =>
+  Object.assign(new Error(reason), { errors: [{ reason }], response: { status, data: { error: { errors: [{ reason }] } } } });
+
+const keyStatus = (index) => getKeyPoolStatus().keys[index];
+
+test('a throttled key fails over to the next one and only rests briefly', async () => {
+  const tried = [];
+  const result = await withApiKey('search.list', async (key) => {
+    tried.push(key);
+    if (key === 'key-one') throw apiError(403, 'rateLimitExceeded');
+    return 'ok';
+  });
+
+  assert.strictEqual(result, 'ok');
+  assert.deepStrictEqual(tried, ['key-one', 'key-two']);
+
+  const throttled = keyStatus(0);
+  assert.strictEqual(throttled.status, 'throttled');
+  assert.strictEqual(throttled.unitsUsed, 0);
+  assert.ok(Date.parse(throttled.availableAt) - Date.now() <= 60 * 1000);
+});
+
+test('quotaExceeded takes a key out until the daily reset', async () => {
+  await assert.rejects(
+    withApiKey('search.list', async () => {
+      throw apiError(403, 'quotaExceeded');
+    }),
+    { code: 'SEARCH_UNAVAILABLE' }
+  );
+
+  const exhausted = keyStatus(1);
+  assert.strictEqual(exhausted.status, 'exhausted');
+  assert.strictEqual(exhausted.unitsUsed, YOUTUBE_DAILY_QUOTA_UNITS);
+  assert.strictEqual(exhausted.availableAt, getKeyPoolStatus().resetAt);
+});
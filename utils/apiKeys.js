@@ -0,0 +1,131 @@
+// utils/apiKeys.js - API key lookup and per-key daily usage counters
+const crypto = require('crypto');
+const fs = require('fs');
+const { getRedisClient } = require('./cache');
+const {
+  JOB_STORE,
+  API_KEYS_FILE,
+  QUOTA_SEARCHES_PER_DAY,
+  QUOTA_EXTRACTIONS_PER_DAY,
+  QUOTA_CONCURRENT_DOWNLOADS,
+  QUOTA_STREAM_BYTES_PER_DAY,
+} = require('./config');
+
+const REDIS_KEYS_KEY = 'viewgo:api-keys';
+const REDIS_USAGE_PREFIX = 'viewgo:usage';
+
+// Daily counters; concurrent downloads are counted from live jobs instead
+const DAILY_COUNTERS = ['searches', 'extractions', 'bytesStreamed'];
+
+const DEFAULT_QUOTAS = {
+  searchesPerDay: QUOTA_SEARCHES_PER_DAY,
+  extractionsPerDay: QUOTA_EXTRACTIONS_PER_DAY,
+  concurrentDownloads: QUOTA_CONCURRENT_DOWNLOADS,
+  streamBytesPerDay: QUOTA_STREAM_BYTES_PER_DAY,
+};
+
+// Public identifier for a key; the key itself is never echoed back or logged
+const keyId = (key) => crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+
+const toApiKey = (record) => ({
+  id: keyId(record.key),
+  name: record.name || null,
+  admin: record.admin === true,
+  quotas: { ...DEFAULT_QUOTAS, ...(record.quotas || {}) },
+});
+
+// The key file is re-read whenever it changes, so keys can be added without a restart
+let fileCache = { mtimeMs: 0, keys: new Map() };
+
+const loadKeyFile = async () => {
+  let stats;
+  try {
+    stats = await fs.promises.stat(API_KEYS_FILE);
+  } catch (error) {
+    fileCache = { mtimeMs: 0, keys: new Map() };
+    return fileCache.keys;
+  }
+  if (stats.mtimeMs === fileCache.mtimeMs) return fileCache.keys;
+
+  try {
+    const records = JSON.parse(await fs.promises.readFile(API_KEYS_FILE, 'utf8'));
+    const keys = new Map(
+      (Array.isArray(records) ? records : [])
+        .filter((record) => record && typeof record.key === 'string' && record.key && !record.disabled)
+        .map((record) => [record.key, toApiKey(record)])
+    );
+    fileCache = { mtimeMs: stats.mtimeMs, keys };
+  } catch (error) {
+    console.error('API key file is unreadable:', error.message);
+  }
+  return fileCache.keys;
+};
+
+// Key record ({ id, name, admin, quotas }) for a presented key, or null.
+// With the Redis store, keys are fields of a hash; the key file is still consulted as a fallback.
+const findApiKey = async (key) => {
+  if (typeof key !== 'string' || !key) return null;
+
+  if (JOB_STORE === 'redis') {
+    const client = await getRedisClient().catch(() => null);
+    const value = client ? await client.hGet(REDIS_KEYS_KEY, key) : null;
+    if (value) {
+      const record = JSON.parse(value);
+      return record.disabled ? null : toApiKey({ ...record, key });
+    }
+  }
+
+  return (await loadKeyFile()).get(key) || null;
+};
+
+// Counters reset at midnight UTC
+const getUsageDay = (now = new Date()) => now.toISOString().slice(0, 10);
+
+const getResetAt = (now = new Date()) =>
+  new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)).toISOString();
+
+const memoryUsage = new Map();
+
+const usageKey = (id, day) => `${REDIS_USAGE_PREFIX}:${id}:${day}`;
+
+const emptyUsage = () => DAILY_COUNTERS.reduce((usage, counter) => ({ ...usage, [counter]: 0 }), {});
+
+const getUsage = async (id) => {
+  const key = usageKey(id, getUsageDay());
+  const client = JOB_STORE === 'redis' ? await getRedisClient().catch(() => null) : null;
+
+  if (client) {
+    const values = await client.hGetAll(key);
+    return DAILY_COUNTERS.reduce((usage, counter) => ({ ...usage, [counter]: parseInt(values[counter] || '0', 10) }), {});
+  }
+  return { ...emptyUsage(), ...(memoryUsage.get(key) || {}) };
+};
+
+const addUsage = async (id, counter, amount = 1) => {
+  const key = usageKey(id, getUsageDay());
+  const client = JOB_STORE === 'redis' ? await getRedisClient().catch(() => null) : null;
+
+  if (client) {
+    await client.hIncrBy(key, counter, amount);
+    await client.expire(key, 2 * 24 * 60 * 60);
+    return;
+  }
+
+  // Drop yesterday's in-memory counters as soon as a new day starts
+  const today = `:${getUsageDay()}`;
+  for (const existing of memoryUsage.keys()) {
+    if (!existing.endsWith(today)) memoryUsage.delete(existing);
+  }
+  const usage = memoryUsage.get(key) || emptyUsage();
+  usage[counter] += amount;
+  memoryUsage.set(key, usage);
+};
+
+module.exports = {
+  DEFAULT_QUOTAS,
+  keyId,
+  findApiKey,
+  getUsage,
+  addUsage,
+  getResetAt,
+};
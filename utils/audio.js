@@ -0,0 +1,88 @@
+// utils/audio.js - Audio extraction / transcoding options
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+
+const AUDIO_CODECS = {
+  mp3: { ext: 'mp3', mimeType: 'audio/mpeg', encoder: 'libmp3lame', muxer: 'mp3', defaultBitrate: 192 },
+  m4a: { ext: 'm4a', mimeType: 'audio/mp4', encoder: 'aac', muxer: 'mp4', defaultBitrate: 192 },
+  opus: { ext: 'opus', mimeType: 'audio/ogg', encoder: 'libopus', muxer: 'opus', defaultBitrate: 128 },
+  // Uncompressed 16-bit stereo PCM; bitrate is fixed
+  wav: { ext: 'wav', mimeType: 'audio/wav', encoder: 'pcm_s16le', muxer: 'wav', defaultBitrate: 1411, lossless: true },
+};
+
+const MIN_BITRATE = 32;
+const MAX_BITRATE = 320;
+
+// Synthetic entries appended to the format list, e.g. "audio-mp3-192"
+const AUDIO_PRESETS = [
+  { codec: 'mp3', bitrate: 128 },
+  { codec: 'mp3', bitrate: 192 },
+  { codec: 'mp3', bitrate: 320 },
+  { codec: 'm4a', bitrate: 128 },
+  { codec: 'm4a', bitrate: 256 },
+  { codec: 'opus', bitrate: 128 },
+  { codec: 'wav', bitrate: 1411 },
+];
+
+const AUDIO_FORMAT_PATTERN = /^audio-(mp3|m4a|opus|wav)(?:-(\d+))?$/;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+const toFormatId = ({ codec, bitrate }) => (AUDIO_CODECS[codec].lossless ? `audio-${codec}` : `audio-${codec}-${bitrate}`);
+
+/**
+ * Resolve the audio settings of a request. Audio mode is selected either with
+ * mode=audio (plus optional audioCodec / audioBitrate) or by picking one of the
+ * synthetic "audio-<codec>-<kbps>" format ids. Returns null for video requests.
+ */
+const parseAudioOptions = ({ mode, audioCodec, audioBitrate, format } = {}) => {
+  const formatMatch = typeof format === 'string' ? format.match(AUDIO_FORMAT_PATTERN) : null;
+
+  if (mode && !['audio', 'video'].includes(mode)) {
+    throw badRequest('mode must be audio or video');
+  }
+  if (mode !== 'audio' && !formatMatch) return null;
+
+  const codec = (audioCodec || (formatMatch && formatMatch[1]) || 'mp3').toLowerCase();
+  const config = AUDIO_CODECS[codec];
+  if (!config) {
+    throw badRequest(`Unsupported audio codec. Use one of: ${Object.keys(AUDIO_CODECS).join(', ')}`);
+  }
+
+  if (config.lossless) return { codec, bitrate: config.defaultBitrate };
+
+  const requested = audioBitrate || (formatMatch && formatMatch[2]);
+  const bitrate = requested ? parseInt(String(requested).replace(/k$/i, ''), 10) : config.defaultBitrate;
+  if (Number.isNaN(bitrate) || bitrate < MIN_BITRATE || bitrate > MAX_BITRATE) {
+    throw badRequest(`Audio bitrate must be between ${MIN_BITRATE} and ${MAX_BITRATE} kbps`);
+  }
+
+  return { codec, bitrate };
+};
+
+// yt-dlp arguments for a background download: extract-audio post-processing
+const buildExtractAudioArgs = ({ codec, bitrate }) => {
+  const args = ['-x', '--audio-format', codec];
+  if (!AUDIO_CODECS[codec].lossless) args.push('--audio-quality', `${bitrate}K`);
+  return args;
+};
+
+// ffmpeg arguments that transcode whatever yt-dlp writes to stdout into the target codec
+const buildTranscodeArgs = ({ codec, bitrate }) => {
+  const config = AUDIO_CODECS[codec];
+  const args = ['-hide_banner', '-loglevel', 'error', '-i', 'pipe:0', '-vn', '-c:a', config.encoder];
+  if (!config.lossless) args.push('-b:a', `${bitrate}k`);
+  // MP4 can only be written to a pipe as a fragmented file
+  if (config.muxer === 'mp4') args.push('-movflags', 'frag_keyframe+empty_moov');
+  args.push('-f', config.muxer, 'pipe:1');
+  return args;
+};
+
+module.exports = {
+  FFMPEG_PATH,
+  AUDIO_CODECS,
+  AUDIO_PRESETS,
+  parseAudioOptions,
+  toFormatId,
+  buildExtractAudioArgs,
+  buildTranscodeArgs,
+};
@@ -0,0 +1,220 @@
+// utils/auth.js - API key authentication and per-key quota middleware
+const crypto = require('crypto');
+const { API_KEYS_REQUIRED, METRICS_TOKEN } = require('./config');
+const { DEFAULT_QUOTAS, keyId, findApiKey, getUsage, addUsage, getResetAt } = require('./apiKeys');
+const { isValidSignature } = require('./signedUrls');
+
+// Reachable without a key
+const PUBLIC_PATHS = ['/'];
+
+/**
+ * Links the API hands out for <img> tags and plain downloads: finished files, whose
+ * names are random job ids, and /thumbnail URLs carrying a valid signature. A key is
+ * optional there and only used to meter the bytes served.
+ */
+const isKeyOptional = (req) =>
+  req.path.startsWith('/downloads/') ||
+  (req.path === '/thumbnail' &&
+    typeof req.query.url === 'string' &&
+    isValidSignature(req.query.sig, req.query.url, typeof req.query.platform === 'string' ? req.query.platform : ''));
+
+const QUOTAS = {
+  searches: 'searchesPerDay',
+  extractions: 'extractionsPerDay',
+  bytesStreamed: 'streamBytesPerDay',
+};
+
+// -1 (or any negative limit) disables a quota
+const isLimited = (limit) => typeof limit === 'number' && limit >= 0;
+
+const getPresentedKey = (req) => {
+  const header = req.get('x-api-key');
+  if (header) return header.trim();
+  const authorization = req.get('authorization') || '';
+  if (/^Bearer\s+/i.test(authorization)) return authorization.replace(/^Bearer\s+/i, '').trim();
+  return typeof req.query.api_key === 'string' ? req.query.api_key : null;
+};
+
+const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+// A scraper presenting METRICS_TOKEN, which is only valid for /metrics
+const isMetricsScrape = (req, presented) =>
+  Boolean(METRICS_TOKEN && presented && req.path === '/metrics') &&
+  crypto.timingSafeEqual(digest(presented), digest(METRICS_TOKEN));
+
+const unauthorized = (res, message) => res.status(401).json({ error: message, code: 'UNAUTHORIZED', retryable: false });
+
+const quotaExceeded = (res, { quota, limit, used, resetAt }) => {
+  if (resetAt) {
+    res.setHeader('Retry-After', Math.max(1, Math.ceil((Date.parse(resetAt) - Date.now()) / 1000)));
+  }
+  return res.status(429).json({
+    error: resetAt ? `Quota ${quota} exceeded; it resets at ${resetAt}` : `Quota ${quota} exceeded`,
+    code: 'QUOTA_EXCEEDED',
+    retryable: true,
+    quota,
+    limit,
+    used,
+    resetAt,
+  });
+};
+
+/**
+ * Attach req.apiKey from the X-API-Key header, a Bearer token or ?api_key=.
+ * Without API_KEYS_REQUIRED, keyless requests share anonymous quotas per client IP.
+ */
+const authenticate = async (req, res, next) => {
+  if (PUBLIC_PATHS.includes(req.path)) return next();
+
+  const presented = getPresentedKey(req);
+  if (isMetricsScrape(req, presented)) {
+    req.metricsScrape = true;
+    return next();
+  }
+  if (presented) {
+    const apiKey = await findApiKey(presented);
+    if (!apiKey) return unauthorized(res, 'Invalid API key');
+    req.apiKey = apiKey;
+    return next();
+  }
+
+  if (API_KEYS_REQUIRED) {
+    if (isKeyOptional(req)) return next();
+    return unauthorized(res, 'An API key is required (X-API-Key header or api_key query parameter)');
+  }
+
+  req.apiKey = { id: `anon-${keyId(req.ip || 'unknown')}`, name: 'anonymous', admin: false, quotas: DEFAULT_QUOTAS };
+  next();
+};
+
+/**
+ * Count `amountOf(req)` units against a daily quota ('searches' or 'extractions'),
+ * answering 429 once the key's limit would be exceeded.
+ */
+const consumeQuota = (counter, amountOf = () => 1) => async (req, res, next) => {
+  const limit = req.apiKey.quotas[QUOTAS[counter]];
+  const amount = amountOf(req);
+
+  if (isLimited(limit)) {
+    const used = (await getUsage(req.apiKey.id))[counter];
+    if (used + amount > limit) {
+      return quotaExceeded(res, { quota: QUOTAS[counter], limit, used, resetAt: getResetAt() });
+    }
+  }
+
+  await addUsage(req.apiKey.id, counter, amount);
+  next();
+};
+
+// Reject new downloads while the key already has its maximum of queued, running or streaming jobs
+const limitConcurrentDownloads = (countActive, amountOf = () => 1) => (req, res, next) => {
+  const limit = req.apiKey.quotas.concurrentDownloads;
+  const active = countActive(req.apiKey.id);
+
+  if (isLimited(limit) && active + amountOf(req) > limit) {
+    return quotaExceeded(res, { quota: 'concurrentDownloads', limit, used: active, resetAt: null });
+  }
+  next();
+};
+
+/**
+ * How many of `wanted` items the key can still start once a playlist is expanded:
+ * bounded by its remaining daily extractions and free download slots. The items
+ * granted are counted as extractions.
+ */
+const reserveBatchItems = async (apiKey, countActive, wanted) => {
+  const { extractionsPerDay, concurrentDownloads } = apiKey.quotas;
+  let granted = wanted;
+
+  if (isLimited(extractionsPerDay)) {
+    granted = Math.min(granted, extractionsPerDay - (await getUsage(apiKey.id)).extractions);
+  }
+  if (isLimited(concurrentDownloads)) {
+    granted = Math.min(granted, concurrentDownloads - countActive(apiKey.id));
+  }
+
+  granted = Math.max(0, granted);
+  if (granted > 0) await addUsage(apiKey.id, 'extractions', granted);
+  return granted;
+};
+
+/**
+ * Count response body bytes against the key's daily streaming quota. The quota is
+ * checked when a response starts; a stream in progress is never cut off. Keyless
+ * requests to file links are not metered.
+ */
+const trackStreamedBytes = async (req, res, next) => {
+  if (!req.apiKey) return next();
+
+  const limit = req.apiKey.quotas.streamBytesPerDay;
+  if (isLimited(limit)) {
+    const used = (await getUsage(req.apiKey.id)).bytesStreamed;
+    if (used >= limit) {
+      return quotaExceeded(res, { quota: 'streamBytesPerDay', limit, used, resetAt: getResetAt() });
+    }
+  }
+
+  let bytes = 0;
+  const count = (chunk, encoding) => {
+    if (chunk && typeof chunk !== 'function') {
+      bytes += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+    }
+  };
+  const write = res.write;
+  const end = res.end;
+  res.write = function (chunk, encoding, ...rest) {
+    count(chunk, encoding);
+    return write.call(this, chunk, encoding, ...rest);
+  };
+  res.end = function (chunk, encoding, ...rest) {
+    count(chunk, encoding);
+    return end.call(this, chunk, encoding, ...rest);
+  };
+  res.on('close', () => {
+    if (bytes > 0) addUsage(req.apiKey.id, 'bytesStreamed', bytes).catch(() => {});
+  });
+
+  next();
+};
+
+// Restrict a route to keys marked admin: true
+const requireAdmin = (req, res, next) => {
+  if (req.apiKey && req.apiKey.admin) return next();
+  return res.status(403).json({ error: 'This endpoint requires an admin API key', code: 'INVALID_REQUEST', retryable: false });
+};
+
+// /metrics is open to METRICS_TOKEN and to admin keys
+const requireMetricsAccess = (req, res, next) => (req.metricsScrape ? next() : requireAdmin(req, res, next));
+
+// Jobs, batches and cookie profiles belong to the key that created them; admin keys reach all.
+// Records without an owner predate API keys and are left to admins.
+const canAccess = (apiKey, ownerId) => Boolean(apiKey && (apiKey.admin || (ownerId && ownerId === apiKey.id)));
+
+// Body of GET /me/usage
+const describeUsage = async (apiKey, activeDownloads) => {
+  const usage = await getUsage(apiKey.id);
+  const quota = (used, limit) => ({ used, limit: isLimited(limit) ? limit : null });
+
+  return {
+    key: { id: apiKey.id, name: apiKey.name, admin: apiKey.admin },
+    resetAt: getResetAt(),
+    usage: {
+      searches: quota(usage.searches, apiKey.quotas.searchesPerDay),
+      extractions: quota(usage.extractions, apiKey.quotas.extractionsPerDay),
+      concurrentDownloads: quota(activeDownloads, apiKey.quotas.concurrentDownloads),
+      bytesStreamed: quota(usage.bytesStreamed, apiKey.quotas.streamBytesPerDay),
+    },
+  };
+};
+
+module.exports = {
+  authenticate,
+  consumeQuota,
+  limitConcurrentDownloads,
+  reserveBatchItems,
+  trackStreamedBytes,
+  requireAdmin,
+  requireMetricsAccess,
+  canAccess,
+  describeUsage,
+};
@@ -1,16 +1,52 @@
 const redis = require('redis');
 const { promisify } = require('util');
 const NodeCache = require('node-cache');
+const { createCounter, createGauge } = require('./metrics');
 
 let cacheClient;
+let connecting;
 let cacheEnabled = false;
 const memoryCache = new NodeCache({ stdTTL: 60 * 60, checkperiod: 120 });
 
+const lookups = { hit: 0, miss: 0 };
+const cacheLookups = createCounter('cache_lookups_total', 'getCache calls by result (hit or miss).');
+createGauge('cache_hit_ratio', 'Share of getCache calls answered from the cache since start.', () =>
+  lookups.hit + lookups.miss ? lookups.hit / (lookups.hit + lookups.miss) : 0
+);
+
+const countLookup = (value) => {
+  const result = value === null || value === undefined ? 'miss' : 'hit';
+  lookups[result] += 1;
+  cacheLookups.inc({ result });
+  return value;
+};
+
+// Shared Redis connection, also used by stores that need more than key/value caching
+const getRedisClient = async () => {
+  if (!process.env.REDIS_URL) return null;
+  if (cacheClient) return cacheClient;
+
+  if (!connecting) {
+    const client = redis.createClient({ url: process.env.REDIS_URL });
+    client.on('error', (error) => console.error('Redis client error', error.message));
+    connecting = client
+      .connect()
+      .then(() => {
+        cacheClient = client;
+        return client;
+      })
+      .finally(() => {
+        connecting = null;
+      });
+  }
+
+  return connecting;
+};
+
 const initializeCache = async () => {
   if (process.env.REDIS_URL) {
     try {
-      cacheClient = redis.createClient({ url: process.env.REDIS_URL });
-      await cacheClient.connect();
+      await getRedisClient();
       cacheEnabled = true;
       console.log('Connected to Redis');
     } catch (error) {
@@ -26,20 +62,20 @@ const getCache = async (key) => {
   if (cacheEnabled) {
     try {
       const value = await cacheClient.get(key);
-      return value ? JSON.parse(value) : null;
+      return countLookup(value ? JSON.parse(value) : null);
     } catch (error) {
       console.error('Redis get error', error);
-      return null;
+      return countLookup(null);
     }
   } else {
-    return memoryCache.get(key);
+    return countLookup(memoryCache.get(key));
   }
 };
 
 const setCache = async (key, value, ttl) => {
   if (cacheEnabled) {
     try {
-      await cacheClient.set(key, JSON.stringify(value), 'EX', ttl);
+      await cacheClient.set(key, JSON.stringify(value), { EX: ttl });
     } catch (error) {
       console.error('Redis set error', error);
     }
@@ -50,6 +86,7 @@ const setCache = async (key, value, ttl) => {
 
 module.exports = {
   initializeCache,
+  getRedisClient,
   getCache,
   setCache,
-};
\ No newline at end of file
+};
@@ -0,0 +1,114 @@
+// utils/canonicalUrl.js - Canonical URLs and media ids for shared links
+const axios = require('axios');
+const { detectPlatform, isSupportedHost, matchesHost } = require('./platforms');
+const { getCache, setCache } = require('./cache');
+
+const TRACKING_PARAMS = ['igshid', 'igsh', 'si', '_r', '_t', 'fbclid', 'gclid', 'is_from_webapp', 'sender_device'];
+const SHORTLINK_CACHE_TTL_SECONDS = 24 * 60 * 60;
+const RESOLVE_TIMEOUT_MS = 8000;
+
+const isShortlink = (platform, hostname) => (platform.shortlinkHosts || []).some((host) => matchesHost(hostname, host));
+
+const isTrackingParam = (platform, name) =>
+  name.startsWith('utm_') || TRACKING_PARAMS.includes(name) || (platform.trackingParams || []).includes(name);
+
+/**
+ * Rewrite a URL to its stable spelling without network access: canonical host,
+ * no tracking parameters, sorted query, no fragment and no trailing slash.
+ * Shortlinks and unparseable input are returned unchanged.
+ */
+const normalizeUrl = (videoUrl) => {
+  let parsed;
+  try {
+    parsed = new URL(videoUrl);
+  } catch (error) {
+    return videoUrl;
+  }
+
+  const hostname = parsed.hostname.toLowerCase();
+  const platform = detectPlatform(videoUrl);
+  if (isShortlink(platform, hostname)) return videoUrl;
+
+  parsed.protocol = 'https:';
+  parsed.hostname = platform.canonicalHost || hostname.replace(/^(www|m|mobile)\./, '');
+  parsed.hash = '';
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => !isTrackingParam(platform, name.toLowerCase()))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = new URLSearchParams(params).toString();
+  if (parsed.pathname.length > 1) parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+
+  return parsed.toString();
+};
+
+// Platform-native id (TikTok video id, Instagram shortcode, tweet id, ...) or null
+const getMediaId = (videoUrl) => {
+  let parsed;
+  try {
+    parsed = new URL(videoUrl);
+  } catch (error) {
+    return null;
+  }
+
+  const target = parsed.pathname + parsed.search;
+  for (const pattern of detectPlatform(videoUrl).mediaIdPatterns || []) {
+    const match = target.match(pattern);
+    if (match) return match[1];
+  }
+  return null;
+};
+
+// Follow a shortlink's redirects and return where it lands; only headers are read
+const followRedirects = async (videoUrl) => {
+  const response = await axios.get(videoUrl, {
+    timeout: RESOLVE_TIMEOUT_MS,
+    maxRedirects: 10,
+    responseType: 'stream',
+    validateStatus: () => true,
+    headers: { 'User-Agent': detectPlatform(videoUrl).userAgent },
+  });
+  response.data.destroy();
+  return (response.request.res && response.request.res.responseUrl) || videoUrl;
+};
+
+const resolveShortlink = async (videoUrl) => {
+  const key = `shortlink:${videoUrl}`;
+  const cached = await getCache(key);
+  if (cached) return cached;
+
+  const resolved = await followRedirects(videoUrl);
+  await setCache(key, resolved, SHORTLINK_CACHE_TTL_SECONDS);
+  return resolved;
+};
+
+/**
+ * Canonicalize a validated URL: resolve fb.watch / vm.tiktok.com / v.redd.it style
+ * shortlinks, then normalize. Returns { url, platform, mediaId }.
+ * A shortlink that cannot be resolved is kept as-is so yt-dlp can still try it.
+ */
+const canonicalizeUrl = async (videoUrl) => {
+  let resolved = videoUrl;
+  const platform = detectPlatform(videoUrl);
+
+  if (isShortlink(platform, new URL(videoUrl).hostname.toLowerCase())) {
+    try {
+      resolved = await resolveShortlink(videoUrl);
+    } catch (error) {
+      console.warn(`Shortlink resolution failed for ${videoUrl}:`, error.message);
+    }
+
+    if (!isSupportedHost(new URL(resolved).hostname.toLowerCase())) {
+      throw Object.assign(new Error('Unsupported platform'), { status: 400 });
+    }
+  }
+
+  const url = normalizeUrl(resolved);
+  return { url, platform: detectPlatform(url).id, mediaId: getMediaId(url) };
+};
+
+module.exports = {
+  normalizeUrl,
+  getMediaId,
+  canonicalizeUrl,
+};
@@ -0,0 +1,72 @@
+// utils/clips.js - Time-range (clip) options for downloads and streams
+const TIMESTAMP_PATTERN = /^(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Seconds as a number or numeric string, or [hh:]mm:ss[.fff]
+const parseTimestamp = (value, name) => {
+  if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value).trim())) {
+    const seconds = Number(value);
+    if (Number.isFinite(seconds) && seconds >= 0) return seconds;
+  } else {
+    const match = String(value).trim().match(TIMESTAMP_PATTERN);
+    if (match && Number(match[2]) < 60 && Number(match[3]) < 60) {
+      return Number(match[1] || 0) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+    }
+  }
+  throw badRequest(`${name} must be a number of seconds or a hh:mm:ss timestamp`);
+};
+
+/**
+ * Resolve the clip of a request from `start` / `end` (either may be omitted) and
+ * `exactCuts`. Without exactCuts the cut points snap to the nearest keyframes, which
+ * is fast; with it the edges are re-encoded so the clip starts and ends exactly.
+ * Returns null when neither start nor end is given.
+ */
+const parseClipOptions = ({ start, end, exactCuts } = {}) => {
+  const hasStart = start !== undefined && start !== null && start !== '';
+  const hasEnd = end !== undefined && end !== null && end !== '';
+  if (!hasStart && !hasEnd) return null;
+
+  const clip = {
+    start: hasStart ? parseTimestamp(start, 'start') : 0,
+    end: hasEnd ? parseTimestamp(end, 'end') : null,
+    exactCuts: exactCuts === true || exactCuts === 'true',
+  };
+  if (clip.end !== null && clip.end <= clip.start) throw badRequest('end must be after start');
+  return clip;
+};
+
+// Check a clip against the media duration (when known); an open or overlong end is clamped to it
+const fitClipToDuration = (clip, duration) => {
+  if (!duration) return clip;
+  if (clip.start >= duration) {
+    throw badRequest(`start is beyond the end of the media (${Math.floor(duration)} seconds long)`);
+  }
+  return { ...clip, end: clip.end === null || clip.end > duration ? duration : clip.end };
+};
+
+// Length of the clip in seconds, or null while its end is unknown
+const getClipLength = (clip) => (clip.end === null ? null : clip.end - clip.start);
+
+// Whole-media size estimate scaled down to the clip
+const scaleSizeToClip = (size, clip, duration) => {
+  const length = getClipLength(clip);
+  if (!size || !duration || length === null) return size || null;
+  return Math.round((size * Math.min(length, duration)) / duration);
+};
+
+// yt-dlp arguments that fetch only the clip; --force-keyframes-at-cuts re-encodes around the cuts
+const buildClipArgs = ({ start, end, exactCuts }) => {
+  const args = ['--download-sections', `*${start}-${end === null ? 'inf' : end}`];
+  if (exactCuts) args.push('--force-keyframes-at-cuts');
+  return args;
+};
+
+module.exports = {
+  parseClipOptions,
+  fitClipToDuration,
+  getClipLength,
+  scaleSizeToClip,
+  buildClipArgs,
+};
@@ -1,8 +1,68 @@
 // utils/config.js - Configuration loader
 require('dotenv').config();
+const os = require('os');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
 
 module.exports = {
   PORT: process.env.PORT || 3000,
+  // Comma-separated Data API keys used by /search; search answers 503 without any
   YOUTUBE_API_KEYS: process.env.YOUTUBE_API_KEYS || '',
-  FILE_RETENTION_MINUTES: process.env.FILE_RETENTION_MINUTES || 30
-};
\ No newline at end of file
+  // Daily quota of each key in units (search.list costs 100, videos.list 1); resets at midnight Pacific
+  YOUTUBE_DAILY_QUOTA_UNITS: parseInt(process.env.YOUTUBE_DAILY_QUOTA_UNITS || '10000', 10),
+  // Finished downloads are deleted by the retention sweep once they are this old
+  FILE_RETENTION_MINUTES: parseInt(process.env.FILE_RETENTION_MINUTES || '30', 10),
+  RETENTION_SWEEP_INTERVAL_SECONDS: parseInt(process.env.RETENTION_SWEEP_INTERVAL_SECONDS || '60', 10),
+  // Cap on the total size of DOWNLOAD_DIR, enforced by evicting the oldest files; 0 disables it
+  DOWNLOAD_DIR_MAX_BYTES: parseInt(process.env.DOWNLOAD_DIR_MAX_BYTES || '0', 10),
+  // New downloads and streams are refused while less than this is free on disk; 0 disables the check
+  MIN_FREE_DISK_BYTES: parseInt(process.env.MIN_FREE_DISK_BYTES || String(1024 ** 3), 10),
+  // Default name of downloaded files; see utils/filenames.js for the placeholders
+  FILENAME_TEMPLATE: process.env.FILENAME_TEMPLATE || '{uploader} - {title} [{id}].{ext}',
+  DOWNLOAD_DIR: process.env.DOWNLOAD_DIR || path.join(ROOT_DIR, 'downloads'),
+  DATA_DIR: process.env.DATA_DIR || path.join(ROOT_DIR, 'data'),
+  // 'file' or 'redis'; defaults to redis when REDIS_URL is set
+  JOB_STORE: process.env.JOB_STORE || (process.env.REDIS_URL ? 'redis' : 'file'),
+  // Restart downloads that were running when the server stopped instead of marking them interrupted
+  RESUME_INTERRUPTED_DOWNLOADS: process.env.RESUME_INTERRUPTED_DOWNLOADS === 'true',
+  // How long finished jobs are kept in the job store
+  JOB_HISTORY_HOURS: parseInt(process.env.JOB_HISTORY_HOURS || '24', 10),
+  MAX_CONCURRENT_DOWNLOADS: parseInt(process.env.MAX_CONCURRENT_DOWNLOADS || '3', 10),
+  // Per-platform caps as "platform:limit" pairs, overriding the defaults in utils/platforms.js
+  PLATFORM_CONCURRENCY: process.env.PLATFORM_CONCURRENCY || '',
+  // Upper bound on child jobs created from one batch or playlist
+  BATCH_MAX_ITEMS: parseInt(process.env.BATCH_MAX_ITEMS || '50', 10),
+  WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10),
+  WEBHOOK_RETRY_BASE_MS: parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '2000', 10),
+  WEBHOOK_TIMEOUT_MS: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10),
+  // Lets callbackUrl point at private, loopback and link-local addresses (receivers on the same network)
+  ALLOW_PRIVATE_CALLBACKS: process.env.ALLOW_PRIVATE_CALLBACKS === 'true',
+  // How long extracted metadata (/preview, /formats, /stream) is reused
+  INFO_CACHE_TTL_SECONDS: parseInt(process.env.INFO_CACHE_TTL_SECONDS || '600', 10),
+  THUMBNAIL_CACHE_TTL_HOURS: parseInt(process.env.THUMBNAIL_CACHE_TTL_HOURS || '168', 10),
+  // 64 hex chars, or any passphrase (hashed to a key); cookie profiles are disabled without it
+  COOKIE_ENCRYPTION_KEY: process.env.COOKIE_ENCRYPTION_KEY || '',
+  // Default and maximum lifetime of a stored cookie profile
+  COOKIE_PROFILE_TTL_HOURS: parseInt(process.env.COOKIE_PROFILE_TTL_HOURS || '720', 10),
+  // Requests without a key are rejected unless this is 'false'; they then share per-IP anonymous quotas
+  API_KEYS_REQUIRED: process.env.API_KEYS_REQUIRED !== 'false',
+  // JSON list of { key, name, quotas, admin }; with JOB_STORE=redis the viewgo:api-keys hash is checked first
+  API_KEYS_FILE: process.env.API_KEYS_FILE || path.join(process.env.DATA_DIR || path.join(ROOT_DIR, 'data'), 'api-keys.json'),
+  // Signs the /thumbnail URLs in API responses so <img> tags load them without a key;
+  // a random per-process secret is used when empty, so those URLs expire on restart
+  URL_SIGNING_SECRET: process.env.URL_SIGNING_SECRET || '',
+  // Bearer token Prometheus presents to scrape /metrics; admin API keys are accepted as well
+  METRICS_TOKEN: process.env.METRICS_TOKEN || '',
+  // Default quotas for keys that do not set their own; -1 disables a limit
+  QUOTA_SEARCHES_PER_DAY: parseInt(process.env.QUOTA_SEARCHES_PER_DAY || '500', 10),
+  QUOTA_EXTRACTIONS_PER_DAY: parseInt(process.env.QUOTA_EXTRACTIONS_PER_DAY || '1000', 10),
+  QUOTA_CONCURRENT_DOWNLOADS: parseInt(process.env.QUOTA_CONCURRENT_DOWNLOADS || '5', 10),
+  QUOTA_STREAM_BYTES_PER_DAY: parseInt(process.env.QUOTA_STREAM_BYTES_PER_DAY || String(10 * 1024 ** 3), 10),
+  // Stream-download output is buffered here so dropped clients can resume with Range requests
+  STREAM_BUFFER_DIR: process.env.STREAM_BUFFER_DIR || path.join(os.tmpdir(), 'viewgo-streams'),
+  // How long yt-dlp keeps running after the last client disconnects, waiting for a resume
+  STREAM_RESUME_GRACE_SECONDS: parseInt(process.env.STREAM_RESUME_GRACE_SECONDS || '60', 10),
+  // How long a finished stream buffer stays available after its last request
+  STREAM_BUFFER_TTL_MINUTES: parseInt(process.env.STREAM_BUFFER_TTL_MINUTES || '10', 10),
+};
@@ -0,0 +1,34 @@
+// utils/encryption.js - AES-256-GCM for secrets kept at rest, keyed by COOKIE_ENCRYPTION_KEY
+const crypto = require('crypto');
+const { COOKIE_ENCRYPTION_KEY } = require('./config');
+
+// 64 hex chars are used as the key itself; any other passphrase is hashed to one. Null when unset.
+const getEncryptionKey = () => {
+  if (!COOKIE_ENCRYPTION_KEY) return null;
+  return /^[0-9a-f]{64}$/i.test(COOKIE_ENCRYPTION_KEY)
+    ? Buffer.from(COOKIE_ENCRYPTION_KEY, 'hex')
+    : crypto.createHash('sha256').update(COOKIE_ENCRYPTION_KEY).digest();
+};
+
+// The record id is bound in as associated data so ciphertexts cannot be swapped between records
+const encrypt = (plaintext, id, key) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(id));
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map((part) => part.toString('base64')).join('.');
+};
+
+const decrypt = (payload, id, key) => {
+  const [iv, tag, data] = payload.split('.').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAAD(Buffer.from(id));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  getEncryptionKey,
+  encrypt,
+  decrypt,
+};
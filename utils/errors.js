@@ -0,0 +1,206 @@
+// utils/errors.js - Stable error codes for yt-dlp failures and API responses
+const { getPlatform } = require('./platforms');
+
+/**
+ * code -> HTTP status, whether retrying the same request later can succeed, and the
+ * message shown to users. `{platform}` is replaced with the platform name.
+ */
+const ERROR_TYPES = {
+  LOGIN_REQUIRED: {
+    status: 401,
+    retryable: false,
+    message: 'Login is required to access this content on {platform}. Provide cookies and try again.',
+  },
+  PRIVATE_CONTENT: {
+    status: 403,
+    retryable: false,
+    message: 'This content on {platform} is private.',
+  },
+  AGE_RESTRICTED: {
+    status: 403,
+    retryable: false,
+    message: 'This content on {platform} is age-restricted. Provide cookies from a verified account.',
+  },
+  GEO_BLOCKED: {
+    status: 451,
+    retryable: false,
+    message: "This content on {platform} is not available in the server's region.",
+  },
+  RATE_LIMITED: {
+    status: 429,
+    retryable: true,
+    message: 'Requests to {platform} are being rate limited. Try again in a few minutes.',
+  },
+  NOT_FOUND: {
+    status: 404,
+    retryable: false,
+    message: 'The content was not found or has been removed.',
+  },
+  UNSUPPORTED_URL: {
+    status: 400,
+    retryable: false,
+    message: 'This URL does not point to downloadable media.',
+  },
+  FORMAT_UNAVAILABLE: {
+    status: 422,
+    retryable: false,
+    message: 'The requested format is not available for this media.',
+  },
+  EXTRACTOR_BROKEN: {
+    status: 502,
+    retryable: false,
+    message: 'Extraction from {platform} is currently failing. The downloader may need an update.',
+  },
+  NETWORK_ERROR: {
+    status: 502,
+    retryable: true,
+    message: 'Could not reach {platform}. Try again shortly.',
+  },
+  UNAUTHORIZED: {
+    status: 401,
+    retryable: false,
+    message: 'A valid API key is required.',
+  },
+  QUOTA_EXCEEDED: {
+    status: 429,
+    retryable: true,
+    message: 'The API key has used up this quota.',
+  },
+  INSUFFICIENT_STORAGE: {
+    status: 507,
+    retryable: true,
+    message: 'The server is running out of disk space. Try again later.',
+  },
+  SEARCH_UNAVAILABLE: {
+    status: 503,
+    retryable: true,
+    message: 'YouTube search is temporarily unavailable. Try again later.',
+  },
+  INVALID_REQUEST: {
+    status: 400,
+    retryable: false,
+    message: 'The request is invalid.',
+  },
+  CONFLICT: {
+    status: 409,
+    retryable: false,
+    message: 'The request conflicts with the current state.',
+  },
+  INTERNAL_ERROR: {
+    status: 500,
+    retryable: false,
+    message: 'Something went wrong while processing the request.',
+  },
+};
+
+// Checked in order: the specific causes come before the generic ones they overlap with
+// (age and privacy notices often also say "sign in", Instagram pairs "rate-limit" with "login")
+const STDERR_PATTERNS = [
+  ['UNSUPPORTED_URL', /unsupported url|no suitable (extractor|infoextractor)/i],
+  ['INSUFFICIENT_STORAGE', /no space left on device|\[errno 28\]|disk quota exceeded/i],
+  ['AGE_RESTRICTED', /confirm your age|age[- ]restricted|inappropriate for some users|age verification/i],
+  [
+    'PRIVATE_CONTENT',
+    /private video|video is private|account is private|this (post|content|video) is private|only available (to|for) (followers|members|registered)/i,
+  ],
+  [
+    'GEO_BLOCKED',
+    /not available in your (country|region)|geo[- ]?restrict|geo[- ]?block|not made this video available in your country|not available from your location/i,
+  ],
+  [
+    'LOGIN_REQUIRED',
+    /login required|log ?in (is )?required|sign in to|requires? (authentication|login)|cookies? (are|is) (needed|required)|empty media response/i,
+  ],
+  ['RATE_LIMITED', /http error 429|too many requests|rate[- ]?limit/i],
+  ['FORMAT_UNAVAILABLE', /requested format (is )?not available|no video formats found|format not available/i],
+  [
+    'NOT_FOUND',
+    /http error 40[04]|http error 410|(video|post|page|media|track|user|account) (was )?not found|does not exist|has been (removed|deleted)|no longer available|video unavailable|content (isn't|is not) available/i,
+  ],
+  [
+    'NETWORK_ERROR',
+    /timed out|connection (reset|refused|aborted)|temporary failure in name resolution|getaddrinfo|network is unreachable|http error 5\d\d|unable to download (webpage|json metadata)/i,
+  ],
+  ['EXTRACTOR_BROKEN', /unable to extract|please report this issue|extractorerror|keyerror|typeerror|update to the latest version/i],
+];
+
+const platformName = (platformId) => {
+  const platform = getPlatform(platformId);
+  return platform.id === 'default' ? 'this site' : platform.name;
+};
+
+// What yt-dlp itself reported. execa's message starts with the full command line, whose
+// --cookies path and --proxy credentials must neither be classified nor shown to clients
+const errorText = (error) => (typeof error.stderr === 'string' ? error.stderr : '');
+
+// The ERROR: lines of yt-dlp output, or its last lines when there are none
+const summarizeOutput = (text) => {
+  const lines = [...new Set(text.split('\n').map((line) => line.trim()).filter(Boolean))];
+  const errors = lines.filter((line) => line.startsWith('ERROR:'));
+  return (errors.length ? errors : lines.slice(-3)).join('\n').slice(0, 2000);
+};
+
+/**
+ * Classify yt-dlp output. Exit code 2 is a bad command line and 100 asks for an update;
+ * both mean the server, not the user, needs to act. Returns an ERROR_TYPES key or null.
+ */
+const classifyYtdlError = (text, exitCode) => {
+  const match = STDERR_PATTERNS.find(([, pattern]) => pattern.test(text || ''));
+  if (match) return match[0];
+  if (exitCode === 2 || exitCode === 100) return 'EXTRACTOR_BROKEN';
+  return null;
+};
+
+const codeForStatus = (status) => {
+  if (status === 404) return 'NOT_FOUND';
+  if (status === 409) return 'CONFLICT';
+  if (status >= 400 && status < 500) return 'INVALID_REQUEST';
+  return 'INTERNAL_ERROR';
+};
+
+/**
+ * Wrap a failed extraction or download into an Error with code, status, retryable
+ * and a user-facing message, classified from stderr and the exit code only. The
+ * ERROR: lines of stderr are kept on `detail`.
+ */
+const toYtdlError = (error, platformId) => {
+  if (error && error.code && ERROR_TYPES[error.code]) return error;
+
+  const text = errorText(error || {});
+  const code = classifyYtdlError(text, error && error.exitCode);
+  // Unrecognized errors that already carry a status (validation, missing jobs) pass through
+  if (!code && error && error.status) return error;
+
+  const type = ERROR_TYPES[code || 'INTERNAL_ERROR'];
+  const message = type.message.replace('{platform}', platformName(platformId));
+
+  return Object.assign(new Error(message), {
+    code: code || 'INTERNAL_ERROR',
+    status: type.status,
+    retryable: type.retryable,
+    detail: text ? summarizeOutput(text) : null,
+  });
+};
+
+// Fields stored on jobs and sent in SSE error events
+const describeError = (error) => ({
+  error: error.message,
+  code: error.code || 'INTERNAL_ERROR',
+  retryable: Boolean(error.retryable),
+});
+
+// JSON error response; errors without a code are classified from their status
+const sendError = (res, error, defaultStatus = 500) => {
+  const status = error.status || defaultStatus;
+  const code = ERROR_TYPES[error.code] ? error.code : codeForStatus(status);
+  const retryable = error.retryable !== undefined ? Boolean(error.retryable) : ERROR_TYPES[code].retryable;
+  return res.status(status).json({ error: error.message, code, retryable });
+};
+
+module.exports = {
+  ERROR_TYPES,
+  classifyYtdlError,
+  toYtdlError,
+  describeError,
+  sendError,
+};
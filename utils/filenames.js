@@ -0,0 +1,71 @@
+// utils/filenames.js - Download filename templates and Content-Disposition headers
+const { FILENAME_TEMPLATE } = require('./config');
+const { sanitizeFilename } = require('./helpers');
+
+const PLACEHOLDERS = ['title', 'uploader', 'id', 'platform', 'date', 'resolution', 'ext'];
+const PLACEHOLDER_PATTERN = /\{([^{}]*)\}/g;
+const MAX_TEMPLATE_LENGTH = 200;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Validate the `filenameTemplate` option of a request, e.g.
+ * "{uploader} - {title} [{id}].{ext}". Falls back to FILENAME_TEMPLATE when absent.
+ */
+const parseFilenameTemplate = (template) => {
+  if (template === undefined || template === null || template === '') return FILENAME_TEMPLATE;
+  if (typeof template !== 'string' || template.length > MAX_TEMPLATE_LENGTH) {
+    throw badRequest(`filenameTemplate must be a string of at most ${MAX_TEMPLATE_LENGTH} characters`);
+  }
+
+  const unknown = [...template.matchAll(PLACEHOLDER_PATTERN)].map((match) => match[1]).filter((name) => !PLACEHOLDERS.includes(name));
+  if (unknown.length) {
+    throw badRequest(`Unknown filenameTemplate placeholder {${unknown[0]}}. Use: ${PLACEHOLDERS.map((name) => `{${name}}`).join(', ')}`);
+  }
+  return template;
+};
+
+// Template values from yt-dlp metadata (a full info dict or the fields printed through INFO_ARGS)
+const getTemplateValues = (info, platformName = null) => ({
+  title: info.title || null,
+  uploader: info.uploader || info.channel || null,
+  id: info.id || null,
+  platform: platformName || info.extractor_key || null,
+  date: /^\d{8}$/.test(info.upload_date || '') ? `${info.upload_date.slice(0, 4)}-${info.upload_date.slice(4, 6)}-${info.upload_date.slice(6)}` : null,
+  resolution: info.height ? `${info.height}p` : null,
+});
+
+/**
+ * Fill a template and sanitize the result. Missing values drop out together with
+ * the brackets or separators around them; the extension is always appended.
+ */
+const renderFilename = (template, values, ext) => {
+  const base = template
+    .replace(/\.?\{ext\}$/, '')
+    .replace(PLACEHOLDER_PATTERN, (match, name) => (name === 'ext' ? ext : sanitizeFilename(values[name] || '', 120)))
+    .replace(/\[\s*\]|\(\s*\)/g, '')
+    .replace(/(\s*-\s*){2,}/g, ' - ')
+    .replace(/^[\s\-_.]+|[\s\-_]+$/g, '');
+
+  const name = sanitizeFilename(base);
+  return name ? `${name}.${ext}` : null;
+};
+
+// Swap the extension of a rendered name once the real output file is known
+const withExtension = (filename, ext) => `${filename.replace(/\.[^.]*$/, '')}.${ext}`;
+
+// RFC 6266 attachment header: an ASCII fallback for old clients plus an RFC 5987
+// filename* carrying the UTF-8 name
+const contentDisposition = (filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]/gu, '_').replace(/["\\]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+module.exports = {
+  parseFilenameTemplate,
+  getTemplateValues,
+  renderFilename,
+  withExtension,
+  contentDisposition,
+};
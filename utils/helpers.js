@@ -1,11 +1,38 @@
 // utils/helpers.js - Helper functions
+const { sign } = require('./signedUrls');
+
 module.exports = {
-    sanitizeFilename: (str) => {
-      return str
-        .replace(/[^a-z0-9]/gi, '_')
-        .substring(0, 50);
+    // Safe on Android, Windows and Unix filesystems; keeps Unicode (emoji, non-Latin titles)
+    // and cuts at maxBytes of UTF-8 without splitting a character
+    sanitizeFilename: (str, maxBytes = 200) => {
+      let name = String(str || '')
+        .normalize('NFC')
+        .replace(/[\u0000-\u001f\u007f]/g, '')
+        .replace(/[<>:"/\\|?*]/g, '_')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+      let bytes = 0;
+      name = Array.from(name)
+        .filter((char) => (bytes += Buffer.byteLength(char)) <= maxBytes)
+        .join('')
+        // Windows drops trailing dots and spaces; a leading dot hides the file
+        .replace(/^[.\s]+|[.\s]+$/g, '');
+
+      // Reserved device names on Windows, with or without an extension
+      if (/^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i.test(name)) name = `_${name}`;
+      return name;
     },
     
+    // Stable URL of a thumbnail served through GET /thumbnail; the signature lets it load without a key
+    buildThumbnailProxyUrl: (thumbnailUrl, platform) => {
+      if (!thumbnailUrl) return null;
+      const params = new URLSearchParams({ url: thumbnailUrl });
+      if (platform && platform !== 'default') params.set('platform', platform);
+      params.set('sig', sign(thumbnailUrl, params.get('platform') || ''));
+      return `/thumbnail?${params.toString()}`;
+    },
+
     isYouTubeSearchQuery: (input) => {
       // Simple heuristic: if it's not a URL and has space, it's a search query
       return !input.includes('://') && input.includes(' ');
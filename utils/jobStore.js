@@ -0,0 +1,144 @@
+// utils/jobStore.js - Pluggable persistence for download jobs
+const fs = require('fs');
+const path = require('path');
+const { getRedisClient } = require('./cache');
+const { DATA_DIR, JOB_STORE } = require('./config');
+
+const REDIS_JOBS_KEY = 'viewgo:jobs';
+
+// Keeps every job in one JSON file. Writes are serialized and go through a
+// temp file + rename so a crash mid-write never leaves a truncated store.
+// Changes made within FILE_WRITE_DELAY_MS of each other share one write.
+const FILE_WRITE_DELAY_MS = 1000;
+
+const createFileStore = (filePath) => {
+  let jobs = {};
+  let writeChain = Promise.resolve();
+  let timer = null;
+  let pending = null;
+  let settle = null;
+
+  // The snapshot is taken when the write runs, so it carries every change made while it waited
+  const write = () => {
+    const done = settle;
+    clearTimeout(timer);
+    timer = pending = settle = null;
+    writeChain = writeChain
+      .then(async () => {
+        const tmpPath = `${filePath}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify(jobs));
+        await fs.promises.rename(tmpPath, filePath);
+      })
+      .catch((error) => console.error('Job store write error:', error.message));
+    if (done) done(writeChain);
+    return writeChain;
+  };
+
+  const scheduleWrite = () => {
+    if (!pending) {
+      pending = new Promise((resolve) => {
+        settle = resolve;
+        timer = setTimeout(write, FILE_WRITE_DELAY_MS);
+      });
+    }
+    return pending;
+  };
+
+  return {
+    name: 'file',
+    load: async () => {
+      try {
+        jobs = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error('Job store is unreadable, starting empty:', error.message);
+        }
+        jobs = {};
+      }
+      return Object.values(jobs);
+    },
+    save: (job) => {
+      jobs[job.id] = job;
+      return scheduleWrite();
+    },
+    remove: (id) => {
+      delete jobs[id];
+      return scheduleWrite();
+    },
+    // Write a change that is still waiting right away (used on shutdown)
+    flush: () => (timer ? write() : writeChain),
+  };
+};
+
+// Stores jobs as fields of a single Redis hash
+const createRedisStore = (client) => ({
+  name: 'redis',
+  load: async () => {
+    const entries = await client.hGetAll(REDIS_JOBS_KEY);
+    return Object.values(entries).map((value) => JSON.parse(value));
+  },
+  save: (job) => client.hSet(REDIS_JOBS_KEY, job.id, JSON.stringify(job)),
+  remove: (id) => client.hDel(REDIS_JOBS_KEY, id),
+  flush: async () => {},
+});
+
+let store = null;
+
+const initializeJobStore = async () => {
+  if (JOB_STORE === 'redis') {
+    try {
+      const client = await getRedisClient();
+      if (client) store = createRedisStore(client);
+    } catch (error) {
+      console.error('Redis job store unavailable, falling back to file store:', error.message);
+    }
+  }
+
+  if (!store) {
+    await fs.promises.mkdir(DATA_DIR, { recursive: true });
+    store = createFileStore(path.join(DATA_DIR, 'jobs.json'));
+  }
+
+  console.log(`Using ${store.name} job store`);
+  return store;
+};
+
+const loadJobs = async () => {
+  if (!store) await initializeJobStore();
+  return store.load();
+};
+
+const saveJob = async (job) => {
+  if (!store) return;
+  try {
+    await store.save(job);
+  } catch (error) {
+    console.error(`Failed to persist job ${job.id}:`, error.message);
+  }
+};
+
+const removeJob = async (id) => {
+  if (!store) return;
+  try {
+    await store.remove(id);
+  } catch (error) {
+    console.error(`Failed to remove job ${id}:`, error.message);
+  }
+};
+
+const flushJobs = async () => {
+  if (!store) return;
+  try {
+    await store.flush();
+  } catch (error) {
+    console.error('Failed to flush the job store:', error.message);
+  }
+};
+
+module.exports = {
+  initializeJobStore,
+  loadJobs,
+  saveJob,
+  removeJob,
+  flushJobs,
+};
@@ -0,0 +1,156 @@
+// utils/metrics.js - In-process metrics registry and Prometheus text exposition
+const PREFIX = 'viewgo_';
+
+const registry = [];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}` : '';
+};
+
+const seriesKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+const formatValue = (value) => (Number.isFinite(value) ? String(value) : value > 0 ? '+Inf' : value < 0 ? '-Inf' : 'NaN');
+
+// Series of one metric, keyed by their label set
+const createSeries = (create) => {
+  const series = new Map();
+  return {
+    get: (labels) => {
+      const key = seriesKey(labels);
+      if (!series.has(key)) series.set(key, { labels, ...create() });
+      return series.get(key);
+    },
+    values: () => [...series.values()],
+  };
+};
+
+const register = (metric) => {
+  registry.push(metric);
+  return metric;
+};
+
+const createCounter = (name, help) => {
+  const series = createSeries(() => ({ value: 0 }));
+  return register({
+    name: PREFIX + name,
+    help,
+    type: 'counter',
+    inc: (labels = {}, amount = 1) => {
+      series.get(labels).value += amount;
+    },
+    samples: () => series.values().map(({ labels, value }) => ({ suffix: '', labels, value })),
+  });
+};
+
+/**
+ * A gauge read when metrics are scraped: `collect` returns a number, or a list of
+ * { labels, value } for labelled series, and may be async.
+ */
+const createGauge = (name, help, collect) =>
+  register({
+    name: PREFIX + name,
+    help,
+    type: 'gauge',
+    samples: async () => {
+      const value = await collect();
+      const list = Array.isArray(value) ? value : [{ labels: {}, value }];
+      return list.map((sample) => ({ suffix: '', labels: sample.labels || {}, value: sample.value }));
+    },
+  });
+
+// Buckets are upper bounds in seconds
+const createHistogram = (name, help, buckets) => {
+  const series = createSeries(() => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+  return register({
+    name: PREFIX + name,
+    help,
+    type: 'histogram',
+    observe: (labels, value) => {
+      const entry = series.get(labels);
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+    samples: () =>
+      series.values().flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bound, index) => ({ suffix: '_bucket', labels: { ...labels, le: String(bound) }, value: counts[index] })),
+        { suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: count },
+        { suffix: '_sum', labels, value: sum },
+        { suffix: '_count', labels, value: count },
+      ]),
+  });
+};
+
+// Seconds since the call, for histogram observations
+const startTimer = () => {
+  const started = process.hrtime.bigint();
+  return () => Number(process.hrtime.bigint() - started) / 1e9;
+};
+
+/**
+ * Every registered metric in the Prometheus text format (version 0.0.4). A gauge whose
+ * collector fails is left out of the scrape instead of failing it.
+ */
+const renderMetrics = async () => {
+  const blocks = await Promise.all(
+    registry.map(async (metric) => {
+      let samples;
+      try {
+        samples = await metric.samples();
+      } catch (error) {
+        console.error(`Metric ${metric.name} could not be collected:`, error.message);
+        return null;
+      }
+      return [
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...samples.map(({ suffix, labels, value }) => `${metric.name}${suffix}${formatLabels(labels)} ${formatValue(value)}`),
+      ].join('\n');
+    })
+  );
+  return `${blocks.filter(Boolean).join('\n')}\n`;
+};
+
+const httpRequests = createCounter('http_requests_total', 'HTTP requests by method, route and status.');
+const httpDuration = createHistogram(
+  'http_request_duration_seconds',
+  'HTTP request latency by method and route, until the response is finished.',
+  [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]
+);
+
+// Route patterns keep the label set bounded; requests no route matched share one label
+const routeOf = (req) => {
+  if (req.route) return `${req.baseUrl || ''}${req.route.path}`;
+  if (req.baseUrl) return req.baseUrl;
+  return 'unmatched';
+};
+
+// Count every request and its latency once the response is done (or the client is gone)
+const trackRequests = (req, res, next) => {
+  const elapsed = startTimer();
+  let recorded = false;
+  const record = () => {
+    if (recorded) return;
+    recorded = true;
+    const route = routeOf(req);
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, elapsed());
+  };
+  res.on('finish', record);
+  res.on('close', record);
+  next();
+};
+
+module.exports = {
+  createCounter,
+  createGauge,
+  createHistogram,
+  startTimer,
+  renderMetrics,
+  trackRequests,
+};
@@ -0,0 +1,64 @@
+// utils/network.js - Keeps server-side fetches of client-supplied URLs off private networks
+const dns = require('dns');
+const net = require('net');
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved ranges. The
+// families get one list each: a BlockList matches IPv4 addresses against mapped IPv6 rules.
+const BLOCKED_IPV4 = new net.BlockList();
+const BLOCKED_IPV6 = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([prefix, length]) => BLOCKED_IPV4.addSubnet(prefix, length, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  // IPv4-mapped addresses reach the IPv4 host they embed
+  ['::ffff:0:0', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([prefix, length]) => BLOCKED_IPV6.addSubnet(prefix, length, 'ipv6'));
+
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return family === 6 ? BLOCKED_IPV6.check(address, 'ipv6') : BLOCKED_IPV4.check(address, 'ipv4');
+};
+
+const notAllowed = (hostname) => Object.assign(new Error(`${hostname} is not a public address`), { status: 400 });
+
+/**
+ * Every address `hostname` resolves to, rejected with a 400 when any of them is
+ * private, loopback or link-local. IP literals (with or without brackets) are checked as is.
+ */
+const resolvePublicAddresses = async (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || host.endsWith('.localhost')) throw notAllowed(hostname);
+
+  const family = net.isIP(host);
+  const addresses = family ? [{ address: host, family }] : await dns.promises.lookup(host, { all: true, verbatim: true });
+  if (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address))) throw notAllowed(hostname);
+  return addresses;
+};
+
+/**
+ * `lookup` for axios: the check runs again on the addresses the request actually
+ * connects to, so a DNS answer that changes after validation cannot reach a private host.
+ */
+const publicLookup = async (hostname) => resolvePublicAddresses(hostname);
+
+module.exports = {
+  isPrivateAddress,
+  resolvePublicAddresses,
+  publicLookup,
+};
@@ -0,0 +1,279 @@
+// utils/platforms.js - Registry of supported platforms
+const DESKTOP_USER_AGENT =
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36';
+const MOBILE_USER_AGENT =
+  'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1';
+
+/**
+ * One entry per platform:
+ * - hosts: hostnames matched exactly or as a parent domain
+ * - canonicalHost: host every other spelling (m., www., mobile, aliases) is rewritten to
+ * - shortlinkHosts: hosts whose URLs only redirect to the real post and are resolved first
+ * - mediaIdPatterns: regexes over path + query whose first group is the platform-native id
+ * - trackingParams: platform-specific share parameters stripped from canonical URLs
+ * - userAgent / referer: request headers for yt-dlp and the thumbnail proxy
+ * - extractorArgs: yt-dlp --extractor-args, keyed by extractor
+ * - defaultFormat: format used when the client does not pick one
+ * - audioOnly: the platform only serves audio
+ * - adaptiveFormats: formats come as separate video/audio streams, so size estimates add both
+ * - auth: 'none' | 'optional' | 'required' - whether cookies are needed to extract
+ * - cookiesEnv / proxyEnv: server-wide cookies and proxy read from the environment
+ * - maxConcurrent: default per-platform cap on background downloads
+ * - supported: accepted by URL validation
+ */
+const PLATFORMS = [
+  {
+    id: 'youtube',
+    name: 'YouTube',
+    hosts: ['youtube.com', 'youtu.be'],
+    canonicalHost: 'www.youtube.com',
+    shortlinkHosts: ['youtu.be'],
+    mediaIdPatterns: [/[?&]v=([\w-]{11})/, /\/(?:shorts|live|embed)\/([\w-]{11})/],
+    userAgent: DESKTOP_USER_AGENT,
+    referer: 'https://www.youtube.com/',
+    extractorArgs: { youtube: { skip_webpage: true, player_client: 'android' } },
+    auth: 'none',
+    supported: false,
+  },
+  {
+    id: 'tiktok',
+    name: 'TikTok',
+    hosts: ['tiktok.com', 'tiktoklite.com'],
+    canonicalHost: 'www.tiktok.com',
+    shortlinkHosts: ['vm.tiktok.com', 'vt.tiktok.com'],
+    mediaIdPatterns: [/\/(?:video|photo|v)\/(\d+)/],
+    userAgent: DESKTOP_USER_AGENT,
+    referer: 'https://www.tiktok.com/',
+    auth: 'none',
+    maxConcurrent: 1,
+    supported: true,
+  },
+  {
+    id: 'instagram',
+    name: 'Instagram',
+    hosts: ['instagram.com'],
+    canonicalHost: 'www.instagram.com',
+    mediaIdPatterns: [/\/(?:p|reels?|tv)\/([\w-]+)/],
+    userAgent: MOBILE_USER_AGENT,
+    referer: 'https://www.instagram.com/',
+    adaptiveFormats: true,
+    auth: 'optional',
+    cookiesEnv: 'INSTAGRAM_COOKIES',
+    proxyEnv: 'INSTAGRAM_PROXY',
+    maxConcurrent: 1,
+    supported: true,
+  },
+  {
+    id: 'facebook',
+    name: 'Facebook',
+    hosts: ['facebook.com', 'fb.watch'],
+    canonicalHost: 'www.facebook.com',
+    shortlinkHosts: ['fb.watch'],
+    mediaIdPatterns: [/[?&]v=(\d+)/, /\/(?:videos|reel)\/(?:[^/]+\/)?(\d+)/, /[?&]story_fbid=(\w+)/],
+    trackingParams: ['mibextid', 'rdid', 'share_url'],
+    userAgent: DESKTOP_USER_AGENT,
+    extractorArgs: { facebook: { skip_auth: false, skip_web_fallback: true } },
+    adaptiveFormats: true,
+    auth: 'optional',
+    supported: true,
+  },
+  {
+    id: 'reddit',
+    name: 'Reddit',
+    hosts: ['reddit.com', 'v.redd.it'],
+    canonicalHost: 'www.reddit.com',
+    shortlinkHosts: ['v.redd.it'],
+    mediaIdPatterns: [/\/comments\/([a-z0-9]+)/i],
+    userAgent: DESKTOP_USER_AGENT,
+    referer: 'https://www.reddit.com/',
+    auth: 'none',
+    supported: true,
+  },
+  {
+    id: 'vimeo',
+    name: 'Vimeo',
+    hosts: ['vimeo.com'],
+    canonicalHost: 'vimeo.com',
+    // /showcase/<id>/video/<id> and /album/<id>/video/<id> name the collection first
+    mediaIdPatterns: [/\/videos?\/(\d+)(?:[/?]|$)/, /^\/(?!(?:showcase|album)\/)(?:[^/?]+\/)*?(\d+)(?:[/?]|$)/],
+    userAgent: DESKTOP_USER_AGENT,
+    referer: 'https://vimeo.com/',
+    auth: 'none',
+    supported: true,
+  },
+  {
+    id: 'twitter',
+    name: 'X (Twitter)',
+    hosts: ['twitter.com', 'x.com'],
+    canonicalHost: 'x.com',
+    mediaIdPatterns: [/\/status(?:es)?\/(\d+)/],
+    trackingParams: ['s', 't', 'ref_src', 'ref_url'],
+    userAgent: DESKTOP_USER_AGENT,
+    referer: 'https://twitter.com/',
+    extractorArgs: { twitter: { skip_webpage: true } },
+    auth: 'optional',
+    supported: true,
+  },
+  {
+    id: 'linkedin',
+    name: 'LinkedIn',
+    hosts: ['linkedin.com'],
+    canonicalHost: 'www.linkedin.com',
+    mediaIdPatterns: [/(?:activity[:-]|ugcPost[:-])(\d+)/],
+    userAgent: DESKTOP_USER_AGENT,
+    auth: 'optional',
+    supported: true,
+  },
+  {
+    id: 'pinterest',
+    name: 'Pinterest',
+    hosts: ['pinterest.com'],
+    canonicalHost: 'www.pinterest.com',
+    mediaIdPatterns: [/\/pin\/(\d+)/],
+    userAgent: DESKTOP_USER_AGENT,
+    auth: 'none',
+    supported: true,
+  },
+  {
+    id: 'soundcloud',
+    name: 'SoundCloud',
+    hosts: ['soundcloud.com'],
+    canonicalHost: 'soundcloud.com',
+    shortlinkHosts: ['on.soundcloud.com'],
+    mediaIdPatterns: [/^\/([\w-]+\/[\w-]+)(?:\/?$|\?)/],
+    userAgent: DESKTOP_USER_AGENT,
+    referer: 'https://soundcloud.com/',
+    extractorArgs: { soundcloud: { format: 'mp3' } },
+    defaultFormat: 'bestaudio[ext=mp3]',
+    audioOnly: true,
+    auth: 'none',
+    supported: true,
+  },
+  {
+    id: 'twitch',
+    name: 'Twitch',
+    hosts: ['twitch.tv'],
+    canonicalHost: 'www.twitch.tv',
+    mediaIdPatterns: [/\/videos\/(\d+)/, /\/clip\/([\w-]+)/],
+    userAgent: DESKTOP_USER_AGENT,
+    auth: 'none',
+    supported: true,
+  },
+  {
+    id: 'rumble',
+    name: 'Rumble',
+    hosts: ['rumble.com'],
+    canonicalHost: 'rumble.com',
+    mediaIdPatterns: [/^\/(v[a-z0-9]+)-/i],
+    userAgent: DESKTOP_USER_AGENT,
+    auth: 'none',
+    supported: true,
+  },
+  {
+    id: 'snapchat',
+    name: 'Snapchat',
+    hosts: ['snapchat.com'],
+    canonicalHost: 'www.snapchat.com',
+    mediaIdPatterns: [/\/spotlight\/([\w-]+)/],
+    userAgent: DESKTOP_USER_AGENT,
+    auth: 'none',
+    supported: true,
+  },
+  {
+    id: 'triller',
+    name: 'Triller',
+    hosts: ['triller.co'],
+    canonicalHost: 'triller.co',
+    mediaIdPatterns: [/\/video\/([\w-]+)/],
+    userAgent: DESKTOP_USER_AGENT,
+    auth: 'none',
+    supported: true,
+  },
+  {
+    id: '9gag',
+    name: '9GAG',
+    hosts: ['9gag.com'],
+    canonicalHost: '9gag.com',
+    mediaIdPatterns: [/\/gag\/(\w+)/],
+    userAgent: DESKTOP_USER_AGENT,
+    auth: 'none',
+    supported: true,
+  },
+];
+
+const DEFAULT_PLATFORM = {
+  id: 'default',
+  name: 'Other',
+  hosts: [],
+  userAgent: DESKTOP_USER_AGENT,
+  referer: 'https://www.google.com/',
+  auth: 'none',
+  supported: false,
+};
+
+const PLATFORMS_BY_ID = new Map(PLATFORMS.map((platform) => [platform.id, platform]));
+
+const matchesHost = (hostname, host) => hostname === host || hostname.endsWith('.' + host);
+
+const getHostname = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+};
+
+const getPlatform = (id) => PLATFORMS_BY_ID.get(id) || DEFAULT_PLATFORM;
+
+const findPlatformByHost = (hostname) =>
+  (hostname && PLATFORMS.find((platform) => platform.hosts.some((host) => matchesHost(hostname, host)))) || null;
+
+// Platform of a URL from its hostname; DEFAULT_PLATFORM when unknown
+const detectPlatform = (url) => findPlatformByHost(getHostname(url)) || DEFAULT_PLATFORM;
+
+/**
+ * Platform to use for a request. Detection from the URL wins; a client-supplied
+ * platform id is only a fallback for hosts the registry does not know.
+ */
+const resolvePlatform = (url, requestedId) => {
+  const detected = detectPlatform(url);
+  if (detected !== DEFAULT_PLATFORM) return detected;
+  return requestedId ? getPlatform(requestedId) : DEFAULT_PLATFORM;
+};
+
+const isSupportedHost = (hostname) => {
+  const platform = findPlatformByHost(hostname);
+  return Boolean(platform && platform.supported);
+};
+
+// { youtube: { player_client: 'android' } } -> "youtube:player_client=android"
+const formatExtractorArgs = (extractorArgs) =>
+  Object.entries(extractorArgs || {}).map(
+    ([extractor, args]) =>
+      `${extractor}:` +
+      Object.entries(args)
+        .map(([key, value]) => `${key}=${value}`)
+        .join(';')
+  );
+
+// Public description used by GET /platforms
+const listPlatforms = () =>
+  PLATFORMS.filter((platform) => platform.supported).map((platform) => ({
+    id: platform.id,
+    name: platform.name,
+    hosts: platform.hosts,
+    audioOnly: Boolean(platform.audioOnly),
+    auth: platform.auth,
+  }));
+
+module.exports = {
+  PLATFORMS,
+  DEFAULT_PLATFORM,
+  matchesHost,
+  getPlatform,
+  detectPlatform,
+  resolvePlatform,
+  isSupportedHost,
+  formatExtractorArgs,
+  listPlatforms,
+};
@@ -0,0 +1,135 @@
+// utils/progressParser.js - Turns yt-dlp console output into structured progress events
+const PROGRESS_MARKER = '[viewgo:progress]';
+const POSTPROCESS_MARKER = '[viewgo:postprocess]';
+const INFO_MARKER = '[viewgo:info]';
+
+// yt-dlp flags that make it print one machine-readable line per progress update
+const PROGRESS_ARGS = [
+  '--newline',
+  '--progress-template',
+  `download:${PROGRESS_MARKER}%(progress)j`,
+  '--progress-template',
+  `postprocess:${POSTPROCESS_MARKER}%(progress.status)s %(progress.postprocessor)s`,
+];
+
+// Prints the metadata of the finished file once it is in place. --print implies
+// --quiet, so --progress keeps the progress template output coming.
+const INFO_ARGS = [
+  '--progress',
+  '--print',
+  `after_move:${INFO_MARKER}%(.{id,title,uploader,channel,duration,thumbnail,extractor_key,webpage_url,filesize,filesize_approx,ext,upload_date,height})j`,
+];
+
+const LEGACY_PROGRESS_PATTERN = /\[download\]\s+(\d+(?:\.\d+)?)%/;
+const MERGER_PATTERN = /^\[(Merger|VideoConvertor|VideoRemuxer)\]/;
+const POSTPROCESSOR_PATTERN = /^\[(ExtractAudio|FixupM3u8|FixupM4a|FixupStretched|FixupTimestamp|FixupDuplicateMoov|EmbedSubtitle|EmbedThumbnail|Metadata|ModifyChapters|SplitChapters|SubtitlesConvertor|ThumbnailsConvertor|MoveFiles)\]/;
+
+const toNumber = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+const phaseForPostprocessor = (name) => (/^(Merger|VideoConvertor|VideoRemuxer)$/.test(name) ? 'merging' : 'postprocessing');
+
+/**
+ * Create a line-oriented parser. Feed one stream's raw chunks to push() and give every
+ * other stream its own input from createInput(), so a line split across chunks is never
+ * joined with output from another stream. onProgress receives the full current state
+ * every time something changes:
+ * { phase, progress, downloadedBytes, totalBytes, speed, eta, fragmentIndex, fragmentCount }.
+ * Metadata printed through INFO_ARGS goes to onInfo; other lines are passed to onLine.
+ */
+const createProgressParser = ({ onProgress = () => {}, onInfo = () => {}, onLine = () => {} } = {}) => {
+  const state = {
+    phase: 'extracting',
+    progress: 0,
+    downloadedBytes: null,
+    totalBytes: null,
+    speed: null,
+    eta: null,
+    fragmentIndex: null,
+    fragmentCount: null,
+  };
+  const update = (changes) => {
+    Object.assign(state, changes);
+    onProgress({ ...state });
+  };
+
+  const handleDownloadProgress = (data) => {
+    const downloadedBytes = toNumber(data.downloaded_bytes);
+    const totalBytes = toNumber(data.total_bytes) || toNumber(data.total_bytes_estimate);
+    const fragmentIndex = toNumber(data.fragment_index);
+    const fragmentCount = toNumber(data.fragment_count);
+
+    let progress = state.progress;
+    if (data.status === 'finished') {
+      progress = 100;
+    } else if (downloadedBytes !== null && totalBytes) {
+      progress = Math.min((downloadedBytes / totalBytes) * 100, 100);
+    } else if (fragmentIndex !== null && fragmentCount) {
+      progress = Math.min((fragmentIndex / fragmentCount) * 100, 100);
+    }
+
+    update({
+      phase: 'downloading',
+      progress: Math.round(progress * 10) / 10,
+      downloadedBytes,
+      totalBytes,
+      speed: toNumber(data.speed),
+      eta: toNumber(data.eta),
+      fragmentIndex,
+      fragmentCount,
+    });
+  };
+
+  const handleLine = (line) => {
+    if (line.startsWith(PROGRESS_MARKER)) {
+      try {
+        handleDownloadProgress(JSON.parse(line.slice(PROGRESS_MARKER.length)));
+      } catch (error) {
+        // Partial or malformed JSON; the next update will carry the same figures
+      }
+      return;
+    }
+
+    if (line.startsWith(INFO_MARKER)) {
+      try {
+        onInfo(JSON.parse(line.slice(INFO_MARKER.length)));
+      } catch (error) {
+        console.error('Unparseable yt-dlp info line:', error.message);
+      }
+      return;
+    }
+
+    if (line.startsWith(POSTPROCESS_MARKER)) {
+      const [status, postprocessor] = line.slice(POSTPROCESS_MARKER.length).trim().split(' ');
+      if (status === 'started') update({ phase: phaseForPostprocessor(postprocessor) });
+      return;
+    }
+
+    const legacy = line.match(LEGACY_PROGRESS_PATTERN);
+    if (legacy) {
+      update({ phase: 'downloading', progress: parseFloat(legacy[1]) });
+    } else if (MERGER_PATTERN.test(line)) {
+      if (state.phase !== 'merging') update({ phase: 'merging' });
+    } else if (POSTPROCESSOR_PATTERN.test(line)) {
+      if (state.phase !== 'postprocessing') update({ phase: 'postprocessing' });
+    }
+
+    onLine(line);
+  };
+
+  const createInput = () => {
+    let remainder = '';
+    return (chunk) => {
+      const lines = (remainder + chunk.toString()).split(/\r?\n|\r/);
+      remainder = lines.pop();
+      lines.filter((line) => line.trim() !== '').forEach(handleLine);
+    };
+  };
+
+  return { push: createInput(), createInput, getState: () => ({ ...state }) };
+};
+
+module.exports = {
+  PROGRESS_ARGS,
+  INFO_ARGS,
+  createProgressParser,
+};
@@ -0,0 +1,61 @@
+// utils/search.js - Search request options
+// Platforms that can be searched; youtubeService picks the providers for each
+const SOURCES = ['youtube', 'soundcloud'];
+const ORDERS = ['relevance', 'date', 'viewCount'];
+// YouTube's videoDuration buckets: short < 4 min, medium 4-20 min, long > 20 min
+const DURATIONS = ['any', 'short', 'medium', 'long'];
+const UPLOAD_WINDOWS = {
+  hour: 60 * 60 * 1000,
+  today: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  year: 365 * 24 * 60 * 60 * 1000,
+};
+const SAFE_SEARCH = ['none', 'moderate', 'strict'];
+const MAX_RESULTS = 50;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+const oneOf = (value, allowed, name, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  if (!allowed.includes(value)) throw badRequest(`${name} must be one of: ${allowed.join(', ')}`);
+  return value;
+};
+
+/**
+ * Validate the filters of POST /search: source, pageToken, order, duration, uploadDate
+ * (hour, today, week, month, year), region (ISO 3166 alpha-2), safeSearch and maxResults.
+ */
+const parseSearchOptions = ({ source, pageToken, order, duration, uploadDate, region, safeSearch, maxResults } = {}) => {
+  if (pageToken !== undefined && (typeof pageToken !== 'string' || !/^[\w-]{1,200}$/.test(pageToken))) {
+    throw badRequest('pageToken must be a token returned by a previous search');
+  }
+  if (region !== undefined && (typeof region !== 'string' || !/^[A-Za-z]{2}$/.test(region))) {
+    throw badRequest('region must be a two-letter country code such as US');
+  }
+
+  const limit = maxResults === undefined ? 10 : Number(maxResults);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RESULTS) {
+    throw badRequest(`maxResults must be an integer from 1 to ${MAX_RESULTS}`);
+  }
+
+  return {
+    source: oneOf(source, SOURCES, 'source', 'youtube'),
+    pageToken: pageToken || null,
+    order: oneOf(order, ORDERS, 'order', 'relevance'),
+    duration: oneOf(duration, DURATIONS, 'duration', 'any'),
+    uploadDate: oneOf(uploadDate, Object.keys(UPLOAD_WINDOWS), 'uploadDate', null),
+    region: region ? region.toUpperCase() : null,
+    safeSearch: oneOf(safeSearch, SAFE_SEARCH, 'safeSearch', 'moderate'),
+    maxResults: limit,
+  };
+};
+
+// Start of an uploadDate window as an RFC 3339 timestamp, or null for no window
+const getPublishedAfter = (uploadDate, now = Date.now()) =>
+  uploadDate ? new Date(now - UPLOAD_WINDOWS[uploadDate]).toISOString() : null;
+
+module.exports = {
+  parseSearchOptions,
+  getPublishedAfter,
+};
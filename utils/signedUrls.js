@@ -0,0 +1,20 @@
+// utils/signedUrls.js - HMAC signatures for URLs the API hands out for use without a key
+const crypto = require('crypto');
+const { URL_SIGNING_SECRET } = require('./config');
+
+// Without a configured secret, signed URLs stop working when the process restarts
+const secret = URL_SIGNING_SECRET || crypto.randomBytes(32).toString('hex');
+
+const sign = (...parts) => crypto.createHmac('sha256', secret).update(parts.join('\n')).digest('base64url').slice(0, 32);
+
+const isValidSignature = (signature, ...parts) => {
+  if (typeof signature !== 'string') return false;
+  const expected = Buffer.from(sign(...parts));
+  const actual = Buffer.from(signature);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+module.exports = {
+  sign,
+  isValidSignature,
+};
@@ -0,0 +1,88 @@
+// utils/subtitles.js - Subtitle options and conversions
+const SUBTITLE_EXTENSIONS = ['vtt', 'srt', 'ass', 'ssa', 'ttml', 'srv1', 'srv2', 'srv3', 'json3', 'lrc'];
+const SUBTITLE_FORMATS = ['srt', 'vtt', 'txt'];
+const LANGUAGE_PATTERN = /^[A-Za-z0-9_-]{1,20}$/;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+const isSubtitleFile = (filename) => SUBTITLE_EXTENSIONS.includes(filename.split('.').pop().toLowerCase());
+
+const parseLanguages = (languages) => {
+  const list = Array.isArray(languages) ? languages : String(languages || 'en').split(',');
+  const cleaned = list.map((lang) => String(lang).trim()).filter(Boolean);
+  if (cleaned.length === 0 || cleaned.length > 10 || !cleaned.every((lang) => LANGUAGE_PATTERN.test(lang))) {
+    throw badRequest('Subtitle languages must be 1-10 language codes such as en or pt-BR');
+  }
+  return cleaned;
+};
+
+/**
+ * Validate the `subtitles` option of POST /download:
+ * { mode: 'embed' | 'sideload', languages: ['en'] | 'en,es', automatic: boolean }
+ */
+const parseSubtitleOptions = (subtitles) => {
+  if (!subtitles) return null;
+  if (typeof subtitles !== 'object') throw badRequest('subtitles must be an object');
+
+  const mode = subtitles.mode || 'sideload';
+  if (!['embed', 'sideload'].includes(mode)) {
+    throw badRequest('subtitles.mode must be embed or sideload');
+  }
+
+  return {
+    mode,
+    languages: parseLanguages(subtitles.languages),
+    automatic: subtitles.automatic === true || subtitles.automatic === 'true',
+  };
+};
+
+// yt-dlp arguments for fetching subtitles alongside a background download
+const buildSubtitleArgs = ({ mode, languages, automatic }) => {
+  const args = ['--write-subs', '--sub-langs', languages.join(',')];
+  if (automatic) args.push('--write-auto-subs');
+  // Embedded tracks are removed from disk by yt-dlp; sideloaded ones are converted
+  // to SRT, which every Android and desktop player understands
+  if (mode === 'embed') args.push('--embed-subs');
+  else args.push('--convert-subs', 'srt');
+  return args;
+};
+
+const TIMESTAMP_LINE = /^(\d{2}:)?\d{2}:\d{2}[.,]\d{3} --> /;
+
+// Strip a WebVTT/SRT file down to its spoken text
+const subtitlesToText = (content) => {
+  const lines = [];
+  content
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .forEach((raw) => {
+      const line = raw
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .trim();
+      if (
+        !line ||
+        /^WEBVTT/.test(line) ||
+        /^(Kind|Language|NOTE|STYLE|REGION)\b/.test(line) ||
+        /^\d+$/.test(line) ||
+        TIMESTAMP_LINE.test(line)
+      ) {
+        return;
+      }
+      // Auto-generated captions repeat each line across consecutive cues
+      if (lines[lines.length - 1] !== line) lines.push(line);
+    });
+  return lines.join('\n') + '\n';
+};
+
+module.exports = {
+  SUBTITLE_FORMATS,
+  LANGUAGE_PATTERN,
+  isSubtitleFile,
+  parseSubtitleOptions,
+  buildSubtitleArgs,
+  subtitlesToText,
+};
@@ -1,5 +1,9 @@
 const validator = require('validator');
 const { URL } = require('url');
+const { isSupportedHost } = require('./platforms');
+const { canonicalizeUrl } = require('./canonicalUrl');
+const { resolvePublicAddresses } = require('./network');
+const { ALLOW_PRIVATE_CALLBACKS } = require('./config');
 
 const extractFirstUrlFromText = (text) => {
   if (!text || typeof text !== 'string') return null;
@@ -81,38 +85,6 @@ const validateUrl = (inputUrl) => {
   }
 
   // Validate supported platforms
-  const supportedPlatforms = [
-   // 'youtube.com',
-    //'youtu.be',
-    'tiktok.com',
-    'vm.tiktok.com',
-    'tiktoklite.com',
-    'instagram.com',
-    'facebook.com',
-    'fb.watch',
-    'reddit.com',
-    'v.redd.it',
-    'vimeo.com',
-    //'dailymotion.com',
-    'twitter.com',
-    'x.com',
-    'linkedin.com',
-    'pinterest.com',
-    'soundcloud.com',
-    'twitch.tv',
-    'rumble.com',
-    //'bitchute.com',
-    //'bilibili.com',
-    'snapchat.com',
-    //'threads.net',
-    //'threads.com',
-    //'likee.video',
-    'triller.co',
-    '9gag.com',
-    //'dai.ly',
-    //'dai.ly.com'
-  ];
-
   let hostname;
   try {
     hostname = new URL(urlCandidate).hostname.toLowerCase();
@@ -120,49 +92,111 @@ const validateUrl = (inputUrl) => {
     throw new Error('Invalid URL format');
   }
 
-  const isSupported = supportedPlatforms.some(domain => hostname === domain || hostname.endsWith('.' + domain));
-  if (!isSupported) {
+  if (!isSupportedHost(hostname)) {
     throw new Error('Unsupported platform');
   }
 
   return urlCandidate;
 };
 
+// Validate, then canonicalize so equivalent links share caches and jobs
+const validateAndCanonicalize = async (req, input) => {
+  const canonical = await canonicalizeUrl(validateUrl(input));
+  req.validatedUrl = canonical.url;
+  req.mediaId = canonical.mediaId;
+};
+
 // For GET requests (query parameters)
-const validateUrlInputGET = (req, res, next) => {
+const validateUrlInputGET = async (req, res, next) => {
   const url = req.query.url;
   if (!url) {
     return res.status(400).json({ error: 'URL is required' });
   }
 
   try {
-    req.validatedUrl = validateUrl(decodeURIComponent(url)); // Decode URL-encoded input
-    next();
+    await validateAndCanonicalize(req, decodeURIComponent(url)); // Decode URL-encoded input
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    return res.status(400).json({ error: error.message });
   }
+  next();
 };
 
 // For POST requests (body parameters)
-const validateUrlInputPOST = (req, res, next) => {
+const validateUrlInputPOST = async (req, res, next) => {
   const url = req.body.url;
   if (!url) {
     return res.status(400).json({ error: 'URL is required' });
   }
 
   try {
-    req.validatedUrl = validateUrl(url);
-    next();
+    await validateAndCanonicalize(req, url);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    return res.status(400).json({ error: error.message });
   }
+  next();
+};
+
+// Webhook receivers must be plain http(s) URLs on public addresses (unless ALLOW_PRIVATE_CALLBACKS)
+const validateCallbackUrl = async (callbackUrl) => {
+  if (typeof callbackUrl !== 'string' || callbackUrl.length > 2000 || !validator.isURL(callbackUrl, {
+    protocols: ['http', 'https'],
+    require_protocol: true,
+    require_tld: false,
+  })) {
+    throw new Error('callbackUrl must be a valid http(s) URL');
+  }
+  if (ALLOW_PRIVATE_CALLBACKS) return callbackUrl;
+
+  const { hostname } = new URL(callbackUrl);
+  try {
+    await resolvePublicAddresses(hostname);
+  } catch (error) {
+    throw new Error(
+      error.status === 400
+        ? 'callbackUrl must not point at a private, loopback or link-local address'
+        : `callbackUrl host ${hostname} could not be resolved`
+    );
+  }
+  return callbackUrl;
+};
+
+// Accepts 'low' | 'normal' | 'high' or an integer between -10 and 10; returns null when invalid
+const PRIORITY_LEVELS = { low: -5, normal: 0, high: 5 };
+const parsePriority = (value) => {
+  if (value === undefined || value === null || value === '') return 0;
+  if (typeof value === 'string' && PRIORITY_LEVELS[value.toLowerCase()] !== undefined) {
+    return PRIORITY_LEVELS[value.toLowerCase()];
+  }
+  const priority = Number(value);
+  if (!Number.isInteger(priority) || priority < -10 || priority > 10) return null;
+  return priority;
+};
+
+const MAX_SEARCH_QUERY_LENGTH = 200;
+
+// Keeps every script, emoji and search operator ("quotes", -exclusions, #tags); only control
+// characters and runs of whitespace go. Cut by code point so surrogate pairs stay whole.
+const sanitizeSearchQuery = (query) => {
+  if (typeof query !== 'string') {
+    throw Object.assign(new Error('Search query must be a string'), { status: 400 });
+  }
+  const cleaned = query
+    .normalize('NFC')
+    .replace(/[\u0000-\u001f\u007f]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return Array.from(cleaned).slice(0, MAX_SEARCH_QUERY_LENGTH).join('').trim();
 };
 
 const validateSearchInput = (req, res, next) => {
-  if (!req.body.query) {
+  try {
+    req.validatedQuery = sanitizeSearchQuery(req.body.query === undefined ? '' : req.body.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (!req.validatedQuery) {
     return res.status(400).json({ error: 'Search query is required' });
   }
-  req.validatedQuery = req.body.query.trim().substring(0, 100);
   next();
 };
 
@@ -172,10 +206,7 @@ module.exports = {
   validateSearchInput,
   validateUrlInputGET,
   validateUrlInputPOST,
-  sanitizeSearchQuery: (query) => {
-    if (typeof query !== 'string') {
-      throw new Error('Search query must be a string');
-    }
-    return query.trim().replace(/[^\w\s-]/g, '').substring(0, 100);
-  }
+  parsePriority,
+  validateCallbackUrl,
+  sanitizeSearchQuery,
 };